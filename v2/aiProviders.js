@@ -3,70 +3,423 @@
 
 /**
  * Multi-provider AI client
- * Supports: Gemini (free), OpenAI, Ollama (local)
+ * Supports: Gemini (free), OpenAI, Anthropic, Ollama (local), and user-defined
+ * OpenAI-compatible endpoints (LM Studio, vLLM, LiteLLM, gateways)
  */
 
 const PROVIDERS = {
   gemini: {
     name: 'Gemini',
     model: 'gemini-1.5-flash',
-    endpoint: 'https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent',
-    free: true
+    endpoint: 'https://generativelanguage.googleapis.com/v1beta',
+    timeout: 30,
+    free: true,
+    // Several candidates come back from one request (candidateCount / n)
+    nativeVariants: true
   },
   openai: {
     name: 'OpenAI',
     model: 'gpt-4o-mini',
     endpoint: 'https://api.openai.com/v1/chat/completions',
+    modelsEndpoint: 'https://api.openai.com/v1/models',
+    timeout: 60,
+    free: false,
+    nativeVariants: true
+  },
+  anthropic: {
+    name: 'Anthropic',
+    model: 'claude-3-5-haiku-latest',
+    endpoint: 'https://api.anthropic.com/v1/messages',
+    modelsEndpoint: 'https://api.anthropic.com/v1/models',
+    version: '2023-06-01',
+    timeout: 60,
     free: false
   },
   ollama: {
     name: 'Ollama (Local)',
     model: 'llama3.2',
     endpoint: '/api/generate',
+    timeout: 120,
     free: true
   }
 };
 
+// Defaults for user-defined OpenAI-compatible endpoints
+const CUSTOM_PROVIDER_TIMEOUT = 60;
+
+// Shape of structured responses: the prompt plus the rationale behind it
+const STRUCTURED_SCHEMA = {
+  type: 'object',
+  properties: {
+    optimizedPrompt: { type: 'string' },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          change: { type: 'string' },
+          reason: { type: 'string' }
+        },
+        required: ['change', 'reason'],
+        additionalProperties: false
+      }
+    },
+    assumptions: {
+      type: 'array',
+      items: { type: 'string' }
+    }
+  },
+  required: ['optimizedPrompt', 'changes', 'assumptions'],
+  additionalProperties: false
+};
+
+// Retry policy for transient failures (rate limits, 5xx, network)
+const RETRY = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
 /**
- * Generate optimized prompt using selected provider
+ * Generate optimized prompt using selected provider, falling back through
+ * `config.fallbackProviders` on rate limits, server errors and network failures
  * @param {string} prompt - The assembled prompt
  * @param {object} config - Provider configuration
- * @returns {Promise<string>} Optimized prompt
+ * @param {object} [options] - Request options
+ * @param {function(string):void} [options.onToken] - Receives text chunks as they
+ *   stream in; when omitted the full response is awaited instead
+ * @param {number} [options.variants=1] - Number of alternative rewrites to request;
+ *   more than one disables streaming
+ * @param {boolean} [options.structured] - Ask for JSON with optimizedPrompt, changes
+ *   and assumptions; disables streaming
+ * @param {function(object):Promise} [options.throttle] - Awaited with
+ *   { provider, providerName, signal } before every request; lets the caller
+ *   hold requests back to respect rate limits
+ * @param {function(object):void} [options.onRetry] - Called with
+ *   { provider, attempt, maxAttempts, delayMs, error } before each retry
+ * @param {function(object):void} [options.onFallback] - Called with
+ *   { from, to, error } before moving to the next provider
+ * @param {AbortSignal} [options.signal] - Cancels the in-flight request
+ * @returns {Promise<{text: string, variants: string[], rationales: Array<object|null>, provider: string, providerName: string, model: string, usage: {inputTokens: number, outputTokens: number}|null}>}
+ *   Optimized prompt (the first variant), all variants with their { changes, assumptions }
+ *   rationale (null outside structured mode), the provider that produced them, and the
+ *   token usage it reported (null when the provider reports none)
+ */
+export async function generateWithProvider(prompt, config, options = {}) {
+  const chain = [config.provider, ...(config.fallbackProviders || [])]
+    .filter((id, index, all) => id && all.indexOf(id) === index);
+
+  for (let i = 0; i < chain.length; i++) {
+    const provider = chain[i];
+    const providerConfig = { ...config, provider };
+
+    // Parallel variant requests each report their own usage
+    let usage = null;
+    const onUsage = ({ inputTokens = 0, outputTokens = 0 }) => {
+      usage = {
+        inputTokens: (usage?.inputTokens || 0) + inputTokens,
+        outputTokens: (usage?.outputTokens || 0) + outputTokens
+      };
+    };
+
+    try {
+      const texts = await runWithRetry(prompt, providerConfig, { ...options, onUsage });
+      const parsed = options.structured
+        ? texts.map(parseStructuredResponse)
+        : texts.map(text => ({ text, rationale: null }));
+
+      return {
+        text: parsed[0].text,
+        variants: parsed.map(p => p.text),
+        rationales: parsed.map(p => p.rationale),
+        provider,
+        providerName: resolveProvider(provider, config)?.name || provider,
+        model: getModel(provider, config),
+        usage
+      };
+    } catch (error) {
+      const next = chain[i + 1];
+      if (!next || !isFallbackError(error) || options.signal?.aborted) {
+        throw error;
+      }
+      options.onFallback?.({
+        from: resolveProvider(provider, config)?.name || provider,
+        to: resolveProvider(next, config)?.name || next,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Retry a single provider on transient failures with jittered exponential
+ * backoff, honouring Retry-After when the server sends one
+ */
+async function runWithRetry(prompt, config, options = {}) {
+  const name = resolveProvider(config.provider, config)?.name || config.provider;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await options.throttle?.({ provider: config.provider, providerName: name, signal: options.signal });
+      return await runProvider(prompt, config, options);
+    } catch (error) {
+      if (attempt >= RETRY.maxAttempts || !isTransientError(error) || options.signal?.aborted) {
+        throw error;
+      }
+
+      // If the server asks for a longer pause, let the fallback chain take over
+      const delayMs = getRetryDelay(error, attempt);
+      if (delayMs > RETRY.maxDelayMs) {
+        throw error;
+      }
+
+      options.onRetry?.({
+        provider: name,
+        attempt: attempt + 1,
+        maxAttempts: RETRY.maxAttempts,
+        delayMs,
+        error: error.message
+      });
+      await sleep(delayMs, options.signal);
+    }
+  }
+}
+
+/**
+ * Delay before the next attempt: Retry-After if given, otherwise
+ * base * 2^(attempt - 1) with equal jitter
+ */
+function getRetryDelay(error, attempt) {
+  if (typeof error.retryAfter === 'number') {
+    return error.retryAfter;
+  }
+
+  const backoff = Math.min(RETRY.baseDelayMs * 2 ** (attempt - 1), RETRY.maxDelayMs);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for the given time, rejecting early if the request is cancelled
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Optimization cancelled'));
+      return;
+    }
+
+    // The signal is shared by every retry, so the listener goes once the wait is over
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Optimization cancelled'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Whether a failure is worth retrying on the same provider:
+ * network errors (status 0), rate limits (429) and 5xx
+ */
+function isTransientError(error) {
+  return error.status === 0 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Whether a failure should move on to the next provider in the chain:
+ * transient errors plus timeouts (408)
+ */
+function isFallbackError(error) {
+  return isTransientError(error) || error.status === 408;
+}
+
+/**
+ * Create an error tagged with the HTTP status that caused it
+ * @param {string} message - User-facing message
+ * @param {number} status - HTTP status (0 for network failures)
+ * @param {Response} [response] - Source response, read for Retry-After
+ */
+function requestError(message, status, response) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryAfter = parseRetryAfter(response?.headers?.get('retry-after'));
+  return error;
+}
+
+/**
+ * Run a single provider with timeout and cancellation
+ */
+async function runProvider(prompt, config, options = {}) {
+  const { provider, timeouts } = config;
+  const info = resolveProvider(provider, config);
+
+  if (!info) {
+    throw new Error(`Unknown provider: ${provider}`);
+  }
+
+  // One controller covers both the caller's cancel signal and the timeout,
+  // and stays armed while a streamed body is still being read
+  const seconds = Number(timeouts?.[provider]) || info.timeout;
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, seconds * 1000);
+
+  const cancel = () => controller.abort();
+  if (options.signal?.aborted) {
+    controller.abort();
+  }
+  options.signal?.addEventListener('abort', cancel);
+
+  try {
+    return await callProvider(prompt, config, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      if (timedOut) {
+        throw requestError(`${info.name} timed out after ${seconds}s`, 408);
+      }
+      throw new Error('Optimization cancelled');
+    }
+    if (error instanceof TypeError && error.message.includes('fetch')) {
+      throw requestError(`Cannot reach ${info.name}. Check your connection.`, 0);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    options.signal?.removeEventListener('abort', cancel);
+  }
+}
+
+/**
+ * Request one or more variants from a provider
+ * Providers with native support return several candidates from one request;
+ * the rest get one parallel request per variant
+ * @returns {Promise<string[]>}
+ */
+async function callProvider(prompt, config, options) {
+  const count = Math.max(1, Number(options.variants) || 1);
+
+  // Interleaved candidates and JSON documents cannot be streamed into the
+  // output, so fetch them whole
+  const whole = count > 1 || options.structured ? { ...options, onToken: undefined } : options;
+
+  if (count === 1) {
+    return [await dispatchProvider(prompt, config, { ...whole, variants: 1 })];
+  }
+
+  if (resolveProvider(config.provider, config)?.nativeVariants) {
+    return dispatchProvider(prompt, config, { ...whole, variants: count });
+  }
+
+  return Promise.all(
+    Array.from({ length: count }, () => dispatchProvider(prompt, config, { ...whole, variants: 1 }))
+  );
+}
+
+/**
+ * Dispatch to the provider-specific client
+ * Returns a string, or an array of strings when native variants are requested
  */
-export async function generateWithProvider(prompt, config) {
-  const { provider, apiKey, openaiKey, ollamaUrl } = config;
+async function dispatchProvider(prompt, config, options) {
+  const { provider, apiKey, openaiKey, anthropicKey, ollamaUrl } = config;
+  const model = getModel(provider, config);
 
   switch (provider) {
     case 'gemini':
-      return generateWithGemini(prompt, apiKey);
+      return generateWithGemini(prompt, apiKey, model, options);
     case 'openai':
-      return generateWithOpenAI(prompt, openaiKey);
+      return generateWithOpenAI(prompt, openaiKey, model, options);
+    case 'anthropic':
+      return generateWithAnthropic(prompt, anthropicKey, model, options);
     case 'ollama':
-      return generateWithOllama(prompt, ollamaUrl);
-    default:
+      return generateWithOllama(prompt, ollamaUrl, model, options);
+    default: {
+      const custom = resolveProvider(provider, config)?.custom;
+      if (custom) {
+        return generateWithCustom(prompt, custom, model, options);
+      }
       throw new Error(`Unknown provider: ${provider}`);
+    }
   }
 }
 
+/**
+ * Look up a built-in provider or a user-defined custom endpoint
+ * @returns {object|null} Provider info; custom entries carry their definition in `custom`
+ */
+function resolveProvider(provider, config = {}) {
+  if (PROVIDERS[provider]) {
+    return PROVIDERS[provider];
+  }
+
+  const custom = config.customProviders?.find(c => c.id === provider);
+  if (!custom) {
+    return null;
+  }
+
+  return {
+    name: custom.name || 'Custom endpoint',
+    model: custom.model,
+    endpoint: custom.baseUrl,
+    timeout: CUSTOM_PROVIDER_TIMEOUT,
+    free: false,
+    // Many OpenAI-compatible servers ignore `n` and return a single choice,
+    // so variants get one request each
+    nativeVariants: false,
+    custom
+  };
+}
+
 /**
  * Generate with Gemini API
  */
-async function generateWithGemini(prompt, apiKey) {
+async function generateWithGemini(prompt, apiKey, model, { onToken, onUsage, signal, variants = 1, structured } = {}) {
   if (!apiKey) {
     throw new Error('Gemini API key is required');
   }
 
-  const url = `${PROVIDERS.gemini.endpoint}?key=${apiKey}`;
+  const base = `${PROVIDERS.gemini.endpoint}/models/${encodeURIComponent(model)}`;
+  const url = onToken
+    ? `${base}:streamGenerateContent?alt=sse&key=${apiKey}`
+    : `${base}:generateContent?key=${apiKey}`;
 
   const response = await fetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
+    signal,
     body: JSON.stringify({
       contents: [{ parts: [{ text: prompt }] }],
       generationConfig: {
         temperature: 0.4,
         maxOutputTokens: 4096,
-        topP: 0.9
+        topP: 0.9,
+        ...(variants > 1 && { candidateCount: variants }),
+        ...(structured && {
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(STRUCTURED_SCHEMA)
+        })
       },
       safetySettings: [
         { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_NONE' },
@@ -81,7 +434,36 @@ async function generateWithGemini(prompt, apiKey) {
     await handleGeminiError(response);
   }
 
+  if (onToken) {
+    let streamed = '';
+    let usageMetadata = null;
+    await readServerSentEvents(response, (data) => {
+      if (data.promptFeedback?.blockReason) {
+        throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
+      }
+      // Each chunk carries running totals; the last one is final
+      if (data.usageMetadata) {
+        usageMetadata = data.usageMetadata;
+      }
+      const chunk = (data.candidates?.[0]?.content?.parts || [])
+        .filter(p => p.text)
+        .map(p => p.text)
+        .join('');
+      if (chunk) {
+        streamed += chunk;
+        onToken(chunk);
+      }
+    });
+
+    if (!streamed) {
+      throw new Error('No response from Gemini API');
+    }
+    reportGeminiUsage(usageMetadata, onUsage);
+    return cleanResponse(streamed);
+  }
+
   const data = await response.json();
+  reportGeminiUsage(data.usageMetadata, onUsage);
 
   if (data.promptFeedback?.blockReason) {
     throw new Error(`Content blocked: ${data.promptFeedback.blockReason}`);
@@ -91,6 +473,16 @@ async function generateWithGemini(prompt, apiKey) {
     throw new Error('No response from Gemini API');
   }
 
+  if (variants > 1) {
+    return data.candidates
+      .map(candidate => (candidate.content?.parts || [])
+        .filter(p => p.text)
+        .map(p => p.text)
+        .join('\n'))
+      .filter(Boolean)
+      .map(cleanResponse);
+  }
+
   const text = data.candidates[0].content.parts
     .filter(p => p.text)
     .map(p => p.text)
@@ -102,19 +494,65 @@ async function generateWithGemini(prompt, apiKey) {
 /**
  * Generate with OpenAI API
  */
-async function generateWithOpenAI(prompt, apiKey) {
+async function generateWithOpenAI(prompt, apiKey, model, options) {
   if (!apiKey) {
     throw new Error('OpenAI API key is required');
   }
 
-  const response = await fetch(PROVIDERS.openai.endpoint, {
+  return generateChatCompletion(prompt, {
+    label: 'OpenAI',
+    endpoint: PROVIDERS.openai.endpoint,
+    headers: { 'Authorization': `Bearer ${apiKey}` },
+    model,
+    jsonSchema: true,
+    streamUsage: true
+  }, options);
+}
+
+/**
+ * Generate with a user-defined OpenAI-compatible endpoint
+ */
+async function generateWithCustom(prompt, custom, model, options) {
+  const name = custom.name || 'Custom endpoint';
+
+  if (!custom.baseUrl) {
+    throw new Error(`${name}: base URL is required`);
+  }
+  if (!model) {
+    throw new Error(`${name}: model name is required`);
+  }
+
+  try {
+    return await generateChatCompletion(prompt, {
+      label: name,
+      endpoint: `${trimBaseUrl(custom.baseUrl)}/chat/completions`,
+      headers: buildCustomHeaders(custom),
+      model
+    }, options);
+  } catch (error) {
+    if (error.message.includes('Failed to fetch')) {
+      throw requestError(`Cannot connect to ${name} at ${custom.baseUrl}`, 0);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Call an OpenAI chat-completions compatible endpoint
+ * Structured mode uses a strict json_schema where supported (jsonSchema),
+ * otherwise the more widely implemented json_object; streamUsage asks for a
+ * final usage chunk, which not every compatible server accepts
+ */
+async function generateChatCompletion(prompt, { label, endpoint, headers, model, jsonSchema, streamUsage }, { onToken, onUsage, signal, variants = 1, structured } = {}) {
+  const response = await fetch(endpoint, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
+      ...headers
     },
+    signal,
     body: JSON.stringify({
-      model: PROVIDERS.openai.model,
+      model,
       messages: [
         {
           role: 'user',
@@ -122,27 +560,148 @@ async function generateWithOpenAI(prompt, apiKey) {
         }
       ],
       temperature: 0.4,
-      max_tokens: 4096
+      max_tokens: 4096,
+      stream: Boolean(onToken),
+      ...(onToken && streamUsage && { stream_options: { include_usage: true } }),
+      ...(variants > 1 && { n: variants }),
+      ...(structured && {
+        response_format: jsonSchema
+          ? { type: 'json_schema', json_schema: { name: 'optimized_prompt', strict: true, schema: STRUCTURED_SCHEMA } }
+          : { type: 'json_object' }
+      })
     })
   });
 
   if (!response.ok) {
     const error = await response.json().catch(() => ({}));
     if (response.status === 401) {
-      throw new Error('Invalid OpenAI API key');
+      throw requestError(`Invalid ${label} API key`, 401);
     } else if (response.status === 429) {
-      throw new Error('OpenAI rate limit exceeded');
+      throw requestError(`${label} rate limit exceeded`, 429, response);
     } else if (response.status === 402) {
-      throw new Error('OpenAI quota exceeded - add billing');
+      throw requestError(`${label} quota exceeded - add billing`, 402);
     }
-    throw new Error(error.error?.message || `OpenAI error: ${response.status}`);
+    throw requestError(error.error?.message || `${label} error: ${response.status}`, response.status, response);
+  }
+
+  if (onToken) {
+    let streamed = '';
+    await readServerSentEvents(response, (data) => {
+      reportChatUsage(data.usage, onUsage);
+      const chunk = data.choices?.[0]?.delta?.content;
+      if (chunk) {
+        streamed += chunk;
+        onToken(chunk);
+      }
+    });
+
+    if (!streamed) {
+      throw new Error(`No response from ${label}`);
+    }
+    return cleanResponse(streamed);
   }
 
   const data = await response.json();
+  reportChatUsage(data.usage, onUsage);
+
+  if (variants > 1) {
+    const texts = (data.choices || [])
+      .map(choice => choice.message?.content)
+      .filter(Boolean);
+    if (!texts.length) {
+      throw new Error(`No response from ${label}`);
+    }
+    return texts.map(cleanResponse);
+  }
+
   const text = data.choices?.[0]?.message?.content || '';
 
   if (!text) {
-    throw new Error('No response from OpenAI');
+    throw new Error(`No response from ${label}`);
+  }
+
+  return cleanResponse(text);
+}
+
+/**
+ * Generate with Anthropic Messages API
+ */
+async function generateWithAnthropic(prompt, apiKey, model, { onToken, onUsage, signal } = {}) {
+  if (!apiKey) {
+    throw new Error('Anthropic API key is required');
+  }
+
+  const response = await fetch(PROVIDERS.anthropic.endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': PROVIDERS.anthropic.version,
+      // Required for requests made directly from an extension page
+      'anthropic-dangerous-direct-browser-access': 'true'
+    },
+    signal,
+    body: JSON.stringify({
+      model,
+      max_tokens: 4096,
+      temperature: 0.4,
+      stream: Boolean(onToken),
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    })
+  });
+
+  if (!response.ok) {
+    await handleAnthropicError(response);
+  }
+
+  if (onToken) {
+    let streamed = '';
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    await readServerSentEvents(response, (data) => {
+      // Input tokens arrive with message_start, the output total with message_delta
+      if (data.type === 'message_start') {
+        usage.inputTokens = data.message?.usage?.input_tokens || 0;
+      } else if (data.type === 'message_delta' && data.usage) {
+        usage.outputTokens = data.usage.output_tokens || 0;
+      }
+      if (data.type === 'error') {
+        if (data.error?.type === 'overloaded_error') {
+          throw requestError('Anthropic API is overloaded. Try again shortly.', 529);
+        }
+        throw requestError(data.error?.message || 'Anthropic stream error', 500);
+      }
+      const chunk = data.type === 'content_block_delta' ? data.delta?.text : '';
+      if (chunk) {
+        streamed += chunk;
+        onToken(chunk);
+      }
+    });
+
+    if (!streamed) {
+      throw new Error('No response from Anthropic');
+    }
+    if (usage.inputTokens || usage.outputTokens) {
+      onUsage?.(usage);
+    }
+    return cleanResponse(streamed);
+  }
+
+  const data = await response.json();
+  if (data.usage) {
+    onUsage?.({ inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 });
+  }
+  const text = (data.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+
+  if (!text) {
+    throw new Error('No response from Anthropic');
   }
 
   return cleanResponse(text);
@@ -151,17 +710,19 @@ async function generateWithOpenAI(prompt, apiKey) {
 /**
  * Generate with Ollama (local)
  */
-async function generateWithOllama(prompt, baseUrl) {
+async function generateWithOllama(prompt, baseUrl, model, { onToken, onUsage, signal, structured } = {}) {
   const url = `${baseUrl || 'http://localhost:11434'}/api/generate`;
 
   try {
     const response = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
+      signal,
       body: JSON.stringify({
-        model: PROVIDERS.ollama.model,
+        model,
         prompt: prompt,
-        stream: false,
+        stream: Boolean(onToken),
+        ...(structured && { format: STRUCTURED_SCHEMA }),
         options: {
           temperature: 0.4,
           num_predict: 4096
@@ -171,22 +732,263 @@ async function generateWithOllama(prompt, baseUrl) {
 
     if (!response.ok) {
       if (response.status === 404) {
-        throw new Error(`Model "${PROVIDERS.ollama.model}" not found. Run: ollama pull ${PROVIDERS.ollama.model}`);
+        const installed = await listOllamaModels(baseUrl).catch(() => []);
+        const available = installed.length
+          ? ` Installed: ${installed.map(m => m.id).join(', ')}.`
+          : '';
+        throw requestError(`Model "${model}" not found.${available} Run: ollama pull ${model}`, 404);
       }
-      throw new Error(`Ollama error: ${response.status}`);
+      throw requestError(`Ollama error: ${response.status}`, response.status, response);
+    }
+
+    if (onToken) {
+      let streamed = '';
+      await readLines(response, (line) => {
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new Error(`Ollama error: ${data.error}`);
+        }
+        if (data.response) {
+          streamed += data.response;
+          onToken(data.response);
+        }
+        if (data.done) {
+          reportOllamaUsage(data, onUsage);
+        }
+      });
+      return cleanResponse(streamed);
     }
 
     const data = await response.json();
+    reportOllamaUsage(data, onUsage);
     return cleanResponse(data.response || '');
 
   } catch (error) {
     if (error.message.includes('Failed to fetch')) {
-      throw new Error('Cannot connect to Ollama. Make sure it is running on ' + (baseUrl || 'http://localhost:11434'));
+      throw requestError('Cannot connect to Ollama. Make sure it is running on ' + (baseUrl || 'http://localhost:11434'), 0);
     }
     throw error;
   }
 }
 
+/**
+ * Resolve the model to use, falling back to the provider default
+ * @param {string} provider - Provider id
+ * @param {object} config - Provider configuration (models, customProviders)
+ * @returns {string|undefined}
+ */
+export function getModel(provider, config) {
+  return config.models?.[provider] || resolveProvider(provider, config)?.model;
+}
+
+/**
+ * Resolve the URL a provider's requests go to: the configured Ollama server,
+ * a custom endpoint's base URL, or the built-in endpoint
+ * @param {string} provider - Provider id
+ * @param {object} config - Provider configuration (ollamaUrl, customProviders)
+ * @returns {string}
+ */
+export function getEndpoint(provider, config) {
+  if (provider === 'ollama') {
+    return config.ollamaUrl || 'http://localhost:11434';
+  }
+  return resolveProvider(provider, config)?.endpoint || '';
+}
+
+/**
+ * Strip trailing slashes so paths can be appended to a base URL
+ */
+function trimBaseUrl(baseUrl) {
+  return baseUrl.trim().replace(/\/+$/, '');
+}
+
+/**
+ * Build request headers for a custom endpoint: extra headers plus optional auth
+ */
+function buildCustomHeaders(custom) {
+  const headers = { ...(custom.headers || {}) };
+
+  if (custom.apiKey) {
+    const name = custom.authHeader || 'Authorization';
+    // A bare key in the Authorization header is sent as a bearer token
+    headers[name] = name.toLowerCase() === 'authorization' && !/\s/.test(custom.apiKey)
+      ? `Bearer ${custom.apiKey}`
+      : custom.apiKey;
+  }
+
+  return headers;
+}
+
+/**
+ * List models available to the configured account or server
+ * @param {string} provider - Provider id
+ * @param {object} config - Provider configuration (keys, ollamaUrl, customProviders)
+ * @returns {Promise<Array<{id: string, name: string}>>} Models sorted by id
+ */
+export async function listModels(provider, config) {
+  let models;
+
+  switch (provider) {
+    case 'gemini':
+      models = await listGeminiModels(config.apiKey);
+      break;
+    case 'openai':
+      models = await listOpenAIModels(config.openaiKey);
+      break;
+    case 'anthropic':
+      models = await listAnthropicModels(config.anthropicKey);
+      break;
+    case 'ollama':
+      models = await listOllamaModels(config.ollamaUrl);
+      break;
+    default: {
+      const custom = resolveProvider(provider, config)?.custom;
+      if (!custom) {
+        throw new Error(`Unknown provider: ${provider}`);
+      }
+      models = await listCustomModels(custom);
+    }
+  }
+
+  return models.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+async function listGeminiModels(apiKey) {
+  if (!apiKey) {
+    throw new Error('Gemini API key is required');
+  }
+
+  const response = await fetch(`${PROVIDERS.gemini.endpoint}/models?pageSize=200&key=${apiKey}`);
+  if (!response.ok) {
+    await handleGeminiError(response);
+  }
+
+  const data = await response.json();
+  return (data.models || [])
+    .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+    .map(m => ({
+      id: m.name.replace(/^models\//, ''),
+      name: m.displayName || m.name
+    }));
+}
+
+async function listOpenAIModels(apiKey) {
+  if (!apiKey) {
+    throw new Error('OpenAI API key is required');
+  }
+
+  const response = await fetch(PROVIDERS.openai.modelsEndpoint, {
+    headers: { 'Authorization': `Bearer ${apiKey}` }
+  });
+  if (!response.ok) {
+    throw new Error(response.status === 401 ? 'Invalid OpenAI API key' : `OpenAI error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  // The endpoint also returns embedding, audio and image models
+  return (data.data || [])
+    .filter(m => /^(gpt-|o\d|chatgpt-)/.test(m.id) && !/(audio|realtime|tts|transcribe|image|search)/.test(m.id))
+    .map(m => ({ id: m.id, name: m.id }));
+}
+
+async function listAnthropicModels(apiKey) {
+  if (!apiKey) {
+    throw new Error('Anthropic API key is required');
+  }
+
+  const response = await fetch(`${PROVIDERS.anthropic.modelsEndpoint}?limit=100`, {
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': PROVIDERS.anthropic.version,
+      'anthropic-dangerous-direct-browser-access': 'true'
+    }
+  });
+  if (!response.ok) {
+    await handleAnthropicError(response);
+  }
+
+  const data = await response.json();
+  return (data.data || []).map(m => ({ id: m.id, name: m.display_name || m.id }));
+}
+
+async function listOllamaModels(baseUrl) {
+  const url = `${baseUrl || 'http://localhost:11434'}/api/tags`;
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch {
+    throw new Error('Cannot connect to Ollama. Make sure it is running on ' + (baseUrl || 'http://localhost:11434'));
+  }
+  if (!response.ok) {
+    throw new Error(`Ollama error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.models || []).map(m => ({ id: m.name, name: m.name }));
+}
+
+async function listCustomModels(custom) {
+  const name = custom.name || 'Custom endpoint';
+  if (!custom.baseUrl) {
+    throw new Error(`${name}: base URL is required`);
+  }
+
+  let response;
+  try {
+    response = await fetch(`${trimBaseUrl(custom.baseUrl)}/models`, {
+      headers: buildCustomHeaders(custom)
+    });
+  } catch {
+    throw new Error(`Cannot connect to ${name} at ${custom.baseUrl}`);
+  }
+  if (!response.ok) {
+    throw new Error(`${name} error: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.data || []).map(m => ({ id: m.id, name: m.id }));
+}
+
+/**
+ * Read a response body line by line (NDJSON and SSE framing)
+ */
+async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) onLine(line.trim());
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) onLine(buffer.trim());
+}
+
+/**
+ * Read Server-Sent Events, passing each parsed `data:` payload to onData
+ */
+async function readServerSentEvents(response, onData) {
+  await readLines(response, (line) => {
+    if (!line.startsWith('data:')) return;
+
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+
+    onData(JSON.parse(payload));
+  });
+}
+
 /**
  * Handle Gemini API errors
  */
@@ -194,16 +996,121 @@ async function handleGeminiError(response) {
   const error = await response.json().catch(() => ({}));
   const message = error.error?.message || '';
 
+  // 429 bodies carry a RetryInfo detail (e.g. "27s") when no header is sent
+  const retryInfo = (error.error?.details || []).find(d => d.retryDelay);
+
   if (response.status === 400) {
-    throw new Error('Invalid request. Check your prompt.');
+    throw requestError('Invalid request. Check your prompt.', 400);
   } else if (response.status === 401 || response.status === 403) {
-    throw new Error('Invalid Gemini API key');
+    throw requestError('Invalid Gemini API key', response.status);
   } else if (response.status === 429) {
-    throw new Error('Rate limit: 15 req/min for free tier. Wait and retry.');
+    const rateError = requestError('Rate limit: 15 req/min for free tier. Wait and retry.', 429, response);
+    if (rateError.retryAfter === null && retryInfo) {
+      rateError.retryAfter = parseRetryAfter(parseFloat(retryInfo.retryDelay));
+    }
+    throw rateError;
   } else if (response.status >= 500) {
-    throw new Error('Gemini API is temporarily unavailable');
+    throw requestError('Gemini API is temporarily unavailable', response.status, response);
+  }
+  throw requestError(message || `API error: ${response.status}`, response.status);
+}
+
+/**
+ * Handle Anthropic API errors
+ */
+async function handleAnthropicError(response) {
+  const error = await response.json().catch(() => ({}));
+  const message = error.error?.message || '';
+
+  if (response.status === 400) {
+    throw requestError(message || 'Invalid request. Check your prompt.', 400);
+  } else if (response.status === 401) {
+    throw requestError('Invalid Anthropic API key', 401);
+  } else if (response.status === 403) {
+    throw requestError('Anthropic API key does not have permission for this model', 403);
+  } else if (response.status === 429) {
+    throw requestError('Anthropic rate limit exceeded. Wait and retry.', 429, response);
+  } else if (response.status === 529) {
+    throw requestError('Anthropic API is overloaded. Try again shortly.', 529, response);
+  } else if (response.status >= 500) {
+    throw requestError('Anthropic API is temporarily unavailable', response.status, response);
+  }
+  throw requestError(message || `Anthropic error: ${response.status}`, response.status);
+}
+
+/**
+ * Usage reporters: map each API's token counts onto { inputTokens, outputTokens }
+ */
+function reportGeminiUsage(usageMetadata, onUsage) {
+  if (!usageMetadata || !onUsage) return;
+  onUsage({
+    inputTokens: usageMetadata.promptTokenCount || 0,
+    outputTokens: usageMetadata.candidatesTokenCount || 0
+  });
+}
+
+function reportChatUsage(usage, onUsage) {
+  if (!usage || !onUsage) return;
+  onUsage({
+    inputTokens: usage.prompt_tokens || 0,
+    outputTokens: usage.completion_tokens || 0
+  });
+}
+
+function reportOllamaUsage(data, onUsage) {
+  if (!onUsage || (data.prompt_eval_count === undefined && data.eval_count === undefined)) return;
+  onUsage({
+    inputTokens: data.prompt_eval_count || 0,
+    outputTokens: data.eval_count || 0
+  });
+}
+
+/**
+ * Convert a JSON schema to Gemini's OpenAPI subset (upper-case types,
+ * no additionalProperties)
+ */
+function toGeminiSchema(schema) {
+  const { additionalProperties, type, properties, items, ...rest } = schema;
+  return {
+    ...rest,
+    type: type.toUpperCase(),
+    ...(properties && {
+      properties: Object.fromEntries(
+        Object.entries(properties).map(([key, value]) => [key, toGeminiSchema(value)])
+      )
+    }),
+    ...(items && { items: toGeminiSchema(items) })
+  };
+}
+
+/**
+ * Parse a structured response into the prompt and its rationale
+ * Falls back to treating the text as a plain prompt when the model ignored
+ * the requested format (e.g. providers without a native JSON mode)
+ * @returns {{text: string, rationale: {changes: Array<{change: string, reason: string}>, assumptions: string[]}|null}}
+ */
+function parseStructuredResponse(text) {
+  const json = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+  try {
+    const data = JSON.parse(json);
+    if (typeof data?.optimizedPrompt === 'string' && data.optimizedPrompt.trim()) {
+      return {
+        text: cleanResponse(data.optimizedPrompt),
+        rationale: {
+          changes: (Array.isArray(data.changes) ? data.changes : [])
+            .filter(c => c?.change)
+            .map(c => ({ change: String(c.change), reason: String(c.reason || '') })),
+          assumptions: (Array.isArray(data.assumptions) ? data.assumptions : [])
+            .filter(a => typeof a === 'string' && a.trim())
+        }
+      };
+    }
+  } catch {
+    // Not JSON; use as-is below
   }
-  throw new Error(message || `API error: ${response.status}`);
+
+  return { text, rationale: null };
 }
 
 /**
@@ -235,17 +1142,7 @@ export async function testProvider(provider, config) {
   const testPrompt = 'Reply with exactly: "Connection successful"';
 
   try {
-    switch (provider) {
-      case 'gemini':
-        await generateWithGemini(testPrompt, config.apiKey);
-        break;
-      case 'openai':
-        await generateWithOpenAI(testPrompt, config.openaiKey);
-        break;
-      case 'ollama':
-        await generateWithOllama(testPrompt, config.ollamaUrl);
-        break;
-    }
+    await runProvider(testPrompt, { ...config, provider });
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -260,11 +1157,19 @@ export function getProviderInfo(provider) {
 }
 
 /**
- * Get all providers
+ * Get all providers, including user-defined custom endpoints
+ * @param {object[]} [customProviders] - Custom endpoint definitions from storage
  */
-export function getAllProviders() {
-  return Object.entries(PROVIDERS).map(([id, info]) => ({
+export function getAllProviders(customProviders = []) {
+  const builtIn = Object.entries(PROVIDERS).map(([id, info]) => ({
     id,
     ...info
   }));
+
+  const custom = customProviders.map(c => ({
+    id: c.id,
+    ...resolveProvider(c.id, { customProviders })
+  }));
+
+  return [...builtIn, ...custom];
 }
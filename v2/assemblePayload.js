@@ -1,53 +1,53 @@
 // extension/src/utils/assemblePayload.js
 'use strict';
 
+import { getTargetProfile } from './targetProfiles.js';
+import { renderRuleBullets } from './ruleRegistry.js';
+import { estimateTokens } from './tokenCounter.js';
+import { excerptFile } from './fileExcerpts.js';
+
 /**
  * Assemble the payload for Gemini API
- * Uses best practices for Claude prompt engineering
+ * Applies the prompt best practices of the selected target model (Claude by default)
  */
 
-/**
- * Create the complete prompt for Gemini to optimize for Claude
- * @param {string} rawPrompt - User's raw prompt
- * @param {Object} prefs - User preferences
- * @param {string[]} scrapedFilenames - Filenames from Claude tab
- * @param {Object[]} embeddedFiles - Uploaded files with content
- * @returns {string} Complete prompt for Gemini
- */
-export function assemblePayload(rawPrompt, prefs, scrapedFilenames, embeddedFiles) {
-  const parts = [];
+// Files flagged as truncated are embedded with this many lines
+const FILE_PREVIEW_LINES = 50;
 
-  // System instruction with Claude best practices
-  parts.push(`ROLE: You are an expert prompt engineer specializing in optimizing prompts for Claude (Anthropic's AI assistant).
+const PLAIN_OUTPUT_FORMAT = `OUTPUT FORMAT:
+Return ONLY the optimized prompt text that can be directly pasted into {{target}}.
+Do not include any meta-commentary, explanations, or "Here's the optimized prompt:" prefixes.
+The output should be the prompt itself, ready to use.`;
 
-YOUR TASK: Transform the user's raw prompt into an optimized, Claude-ready prompt that will yield the best possible results.
+// Used with prefs.structuredOutput; the provider is also asked for JSON natively
+const STRUCTURED_OUTPUT_FORMAT = `OUTPUT FORMAT:
+Respond with a single JSON object and nothing else:
+{
+  "optimizedPrompt": "the optimized prompt, ready to paste into {{target}}",
+  "changes": [{ "change": "what you changed", "reason": "why it improves the prompt" }],
+  "assumptions": ["anything you had to assume about missing details"]
+}`;
 
-CLAUDE PROMPT BEST PRACTICES TO APPLY:
+/**
+ * Built-in optimization strategy
+ * A strategy is a meta-prompt whose placeholders are filled in by assemblePayload:
+ * {{rawPrompt}}, {{rules}}, {{files}}, {{snippets}}, {{outputFormat}},
+ * {{target}} and {{targetPractices}}
+ */
+export const DEFAULT_STRATEGY = {
+  id: 'default',
+  name: 'Target model best practices',
+  builtIn: true,
+  template: `ROLE: You are an expert prompt engineer specializing in optimizing prompts for {{target}}.
 
-1. STRUCTURE AND CLARITY:
-   - Use clear sections with headers (using markdown)
-   - Put the most important instruction first
-   - Use XML-style tags for complex inputs (e.g., <context>, <requirements>, <examples>)
-   - Be specific about the desired output format
+YOUR TASK: Transform the user's raw prompt into an optimized prompt for {{target}} that will yield the best possible results.
 
-2. CONTEXT SETTING:
-   - Provide relevant background upfront
-   - Define the role/persona if applicable (e.g., "You are a senior software engineer...")
-   - Specify the target audience for the output
+PROMPT BEST PRACTICES FOR {{target}} TO APPLY:
 
-3. EXPLICIT CONSTRAINTS:
-   - State what NOT to do (negative constraints are powerful)
-   - Specify length/format requirements
-   - List any technologies, patterns, or approaches to prefer/avoid
+{{targetPractices}}
 
-4. CODE-SPECIFIC RULES:
-${prefs.noReadme ? '   - Do NOT include README files or documentation unless explicitly needed' : ''}
-${prefs.fullCode ? '   - Always provide complete, runnable code (no placeholders, no "// rest of code here")' : ''}
-${prefs.fullCode ? '   - Include all imports, dependencies, and boilerplate' : ''}
-${prefs.preferVanilla ? '   - Prefer vanilla JavaScript and standard web APIs when possible' : ''}
-${prefs.preferVanilla ? '   - For browser extensions, use Chrome Manifest V3' : ''}
-${prefs.shortSummary ? '   - Keep explanations minimal; code should be self-documenting' : ''}
-${prefs.shortSummary ? '   - Add a brief 2-3 line summary at the end only' : ''}
+4. USER RULES:
+{{rules}}
 
 5. OUTPUT OPTIMIZATION:
    - Request structured output when appropriate
@@ -56,53 +56,224 @@ ${prefs.shortSummary ? '   - Add a brief 2-3 line summary at the end only' : ''}
 
 TRANSFORMATION RULES:
 - Make vague requests specific
-- Add missing context that Claude would need
+- Add missing context that {{target}} would need
 - Remove redundant or filler words
 - Ensure the prompt is self-contained
 - Add format specifications (code blocks, bullet points, etc.)
 - If files are referenced, include clear instructions on how to use them
 
-OUTPUT FORMAT:
-Return ONLY the optimized prompt text that can be directly pasted into Claude.
-Do not include any meta-commentary, explanations, or "Here's the optimized prompt:" prefixes.
-The output should be the prompt itself, ready to use.`);
-
-  // Raw prompt section
-  parts.push(`
+{{outputFormat}}
 
 ---
 RAW PROMPT TO OPTIMIZE:
 ---
-${rawPrompt}`);
+{{rawPrompt}}
 
-  // Always include text
-  if (prefs.alwaysIncludeText && prefs.alwaysIncludeText.trim()) {
-    parts.push(`
+{{snippets}}
 
----
+{{files}}`
+};
+
+export const STRATEGY_PLACEHOLDERS = [
+  'rawPrompt', 'rules', 'files', 'snippets', 'outputFormat', 'target', 'targetPractices'
+];
+
+/**
+ * Create the complete prompt for Gemini to optimize for the target model
+ * @param {string} rawPrompt - User's raw prompt
+ * @param {Object} prefs - User preferences; prefs.targetModel selects the target profile
+ * @param {string[]} scrapedFilenames - Filenames from Claude tab
+ * @param {Object[]} embeddedFiles - Uploaded files with content and an optional
+ *   truncation strategy (see fileExcerpts.js)
+ * @param {string} [template] - Strategy meta-prompt; defaults to the built-in one
+ * @returns {string} Complete prompt for Gemini
+ */
+export function assemblePayload(rawPrompt, prefs, scrapedFilenames, embeddedFiles, template = DEFAULT_STRATEGY.template) {
+  const target = getTargetProfile(prefs.targetModel);
+  const outputFormat = (prefs.structuredOutput ? STRUCTURED_OUTPUT_FORMAT : PLAIN_OUTPUT_FORMAT)
+    .replace(/\{\{target\}\}/g, target.label);
+
+  const payload = fillTemplate(template, {
+    rawPrompt,
+    rules: renderRules(prefs),
+    files: renderFiles(scrapedFilenames, embeddedFiles, rawPrompt),
+    snippets: renderSnippets(prefs),
+    outputFormat,
+    target: target.label,
+    targetPractices: target.practices
+  });
+
+  // Structured responses are parsed as JSON, so strategies that leave out
+  // {{outputFormat}} still need the format instructions
+  if (prefs.structuredOutput && !/\{\{\s*outputFormat\s*\}\}/.test(template)) {
+    return `${payload.trimEnd()}\n\n${outputFormat}`;
+  }
+
+  return payload.trimEnd();
+}
+
+/**
+ * Assemble the payload and shrink it until it fits a token budget
+ * Sections are cut from the lowest priority up: saved snippets (last first) and
+ * the always-include text, then embedded file bodies (largest first, halving
+ * each time), then detected filenames
+ * @param {string} rawPrompt - User's raw prompt
+ * @param {Object} prefs - User preferences
+ * @param {string[]} scrapedFilenames - Filenames from Claude tab
+ * @param {Object[]} embeddedFiles - Uploaded files with content
+ * @param {string|undefined} template - Strategy meta-prompt; undefined for the built-in one
+ * @param {number} budget - Maximum payload tokens, from getTokenBudget
+ * @returns {{ payload: string, tokens: number, budget: number, overBudget: boolean, trimmed: Object[] }}
+ *   trimmed lists one { section, label, tokens } per cut item, tokens being the amount saved
+ */
+export function assembleWithinBudget(rawPrompt, prefs, scrapedFilenames, embeddedFiles, template, budget) {
+  const allSnippets = (prefs.savedSnippets || []).filter(s => s && s.trim());
+  const allFilenames = scrapedFilenames || [];
+
+  let snippets = allSnippets;
+  let alwaysIncludeText = prefs.alwaysIncludeText || '';
+  let filenames = allFilenames;
+  const files = (embeddedFiles || []).map(file => {
+    const lineCount = file.text.split('\n').length;
+    return { ...file, maxLines: file.truncated ? Math.min(FILE_PREVIEW_LINES, lineCount) : lineCount };
+  });
+
+  const build = () => assemblePayload(
+    rawPrompt,
+    { ...prefs, savedSnippets: snippets, alwaysIncludeText },
+    filenames,
+    files,
+    template
+  );
+
+  let payload = build();
+  let tokens = estimateTokens(payload);
+  const trimmed = new Map();
+
+  // Apply one cut and add its savings to the entry for that item
+  const cut = (key, section, label, apply) => {
+    apply();
+    const next = build();
+    const nextTokens = estimateTokens(next);
+    const saved = (trimmed.get(key)?.tokens || 0) + tokens - nextTokens;
+
+    trimmed.set(key, { section, label, tokens: saved });
+    payload = next;
+    tokens = nextTokens;
+  };
+
+  while (tokens > budget && snippets.length) {
+    cut('snippets', 'snippets', `Dropped ${allSnippets.length - snippets.length + 1} of ${allSnippets.length} saved snippets`, () => {
+      snippets = snippets.slice(0, -1);
+    });
+  }
+  if (tokens > budget && alwaysIncludeText.trim()) {
+    cut('alwaysInclude', 'snippets', 'Dropped the always-include text', () => {
+      alwaysIncludeText = '';
+    });
+  }
+
+  while (tokens > budget) {
+    const file = files
+      .filter(f => f.maxLines > 0)
+      .sort((a, b) => visibleLength(b, rawPrompt) - visibleLength(a, rawPrompt))[0];
+    if (!file) break;
+
+    const lineCount = file.text.split('\n').length;
+    const maxLines = Math.floor(file.maxLines / 2);
+    const label = maxLines
+      ? `${file.name}: cut to ${maxLines} of ${lineCount} lines`
+      : `${file.name}: content left out (${lineCount} lines)`;
+
+    cut(`file:${file.name}`, 'files', label, () => {
+      file.maxLines = maxLines;
+    });
+  }
+
+  while (tokens > budget && filenames.length) {
+    cut('filenames', 'filenames', `Dropped ${allFilenames.length - filenames.length + 1} of ${allFilenames.length} detected filenames`, () => {
+      filenames = filenames.slice(0, -1);
+    });
+  }
+
+  return {
+    payload,
+    tokens,
+    budget,
+    overBudget: tokens > budget,
+    trimmed: Array.from(trimmed.values())
+  };
+}
+
+function visibleLength(file, rawPrompt) {
+  const lang = getLanguageFromExt(file.ext);
+  return excerptFile(file.text, { strategy: file.strategy, maxLines: file.maxLines, lang, prompt: rawPrompt }).text.length;
+}
+
+/**
+ * Replace {{name}} placeholders in one pass, so placeholder-like text inside
+ * the user's prompt or files is left alone
+ * A placeholder alone on its line disappears with that line (and one following
+ * blank line) when its value is empty; unknown placeholders are kept as written
+ */
+function fillTemplate(template, values) {
+  return template
+    .replace(/^[ \t]*\{\{\s*(\w+)\s*\}\}[ \t]*(?:\n|$)(?:[ \t]*\n)?/gm, (match, name) =>
+      name in values && !values[name] ? '' : match
+    )
+    .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+      name in values ? values[name] : match
+    );
+}
+
+/**
+ * Rules enabled in the active preferences, rendered through the rule registry
+ * one bullet per line
+ */
+function renderRules(prefs) {
+  const rules = renderRuleBullets(prefs.rules);
+
+  if (!rules.length) {
+    return '   - No extra rules; follow the practices above';
+  }
+  return rules.map(rule => `   - ${rule}`).join('\n');
+}
+
+/**
+ * Always-include text and saved snippets
+ */
+function renderSnippets(prefs) {
+  const sections = [];
+
+  if (prefs.alwaysIncludeText && prefs.alwaysIncludeText.trim()) {
+    sections.push(`---
 ADDITIONAL INSTRUCTIONS TO INCORPORATE:
 ---
 ${prefs.alwaysIncludeText}`);
   }
 
-  // Saved snippets
   if (prefs.savedSnippets && prefs.savedSnippets.length > 0) {
     const validSnippets = prefs.savedSnippets.filter(s => s && s.trim());
     if (validSnippets.length > 0) {
-      parts.push(`
-
----
+      sections.push(`---
 CONTEXT SNIPPETS (incorporate if relevant):
 ---
 ${validSnippets.join('\n\n---\n\n')}`);
     }
   }
 
-  // Detected Claude files
-  if (scrapedFilenames && scrapedFilenames.length > 0) {
-    parts.push(`
+  return sections.join('\n\n');
+}
 
----
+/**
+ * Filenames detected in the Claude tab and uploaded file contents; long files
+ * are excerpted with their truncation strategy, using the prompt for relevance
+ */
+function renderFiles(scrapedFilenames, embeddedFiles, rawPrompt) {
+  const sections = [];
+
+  if (scrapedFilenames && scrapedFilenames.length > 0) {
+    sections.push(`---
 FILES DETECTED IN CLAUDE CONTEXT:
 ---
 ${scrapedFilenames.join(', ')}
@@ -110,34 +281,39 @@ ${scrapedFilenames.join(', ')}
 Note: Reference these files appropriately in the optimized prompt if they are relevant to the task.`);
   }
 
-  // Embedded files
   if (embeddedFiles && embeddedFiles.length > 0) {
-    parts.push(`
-
----
+    const parts = [`---
 EMBEDDED FILES (include as context in the optimized prompt):
----`);
+---`];
 
     embeddedFiles.forEach(file => {
       const lang = getLanguageFromExt(file.ext);
+      const lines = file.text.split('\n');
+      // maxLines is set when the payload was trimmed to a token budget
+      const maxLines = file.maxLines ?? (file.truncated ? FILE_PREVIEW_LINES : lines.length);
+
       parts.push(`
 === ${file.name} ===`);
-      parts.push('```' + lang);
 
-      if (file.truncated) {
-        const lines = file.text.split('\n');
-        const preview = lines.slice(0, 50).join('\n');
-        parts.push(preview);
-        parts.push(`\n... [TRUNCATED: showing 50 of ${lines.length} lines]`);
-      } else {
-        parts.push(file.text);
+      if (maxLines === 0) {
+        parts.push(`[CONTENT LEFT OUT: ${lines.length} lines, over the token budget]`);
+        return;
       }
 
+      const excerpt = excerptFile(file.text, { strategy: file.strategy, maxLines, lang, prompt: rawPrompt });
+
+      parts.push('```' + lang);
+      parts.push(excerpt.text);
+      if (excerpt.note) {
+        parts.push(`\n... ${excerpt.note}`);
+      }
       parts.push('```');
     });
+
+    sections.push(parts.join('\n'));
   }
 
-  return parts.join('\n');
+  return sections.join('\n\n');
 }
 
 /**
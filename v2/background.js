@@ -1,14 +1,31 @@
 // extension/src/background.js
 'use strict';
 
-import { loadPreferences } from './utils/storage.js';
-import { generateWithProvider } from './utils/aiProviders.js';
+import { loadPreferences, getPresets, getActiveStrategy, saveToHistory } from './utils/storage.js';
+import { assembleWithinBudget } from './utils/assemblePayload.js';
+import { redactSecrets, restoreSecrets } from './utils/redaction.js';
+import { generateWithProvider, getModel, getEndpoint } from './utils/aiProviders.js';
+import { STREAM_PORT_NAME } from './utils/optimizeStream.js';
+import { createCacheKey, getCachedResponse, setCachedResponse } from './utils/responseCache.js';
+import { recordUsage, getMonthlySpend } from './utils/usageLedger.js';
+import { estimateTokens, calculateCost, isFreeProvider, formatCost, getTokenBudget } from './utils/tokenCounter.js';
+import { SITE_ADAPTERS, getSiteAdapter, isSiteEnabled } from './utils/siteAdapters.js';
 
 /**
  * Service worker for handling API calls, tab detection, and keyboard shortcuts
  */
 
-// Badge management - show "ON" when on Claude.ai
+// Requests per minute for each provider's token bucket (local Ollama is unthrottled)
+const RATE_LIMITS = {
+  gemini: 15,
+  openai: 60,
+  anthropic: 50
+};
+const DEFAULT_RATE_LIMIT = 60;
+
+const rateLimiters = new Map();
+
+// Badge management - show "ON" on supported chat sites the extension may run on
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.status === 'complete' && tab.url) {
     updateBadge(tabId, tab.url);
@@ -26,17 +43,55 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
   }
 });
 
-function updateBadge(tabId, url) {
-  if (url?.includes('claude.ai')) {
+async function updateBadge(tabId, url) {
+  const site = getSiteAdapter(url);
+
+  if (site && await isSiteEnabled(site)) {
     chrome.action.setBadgeText({ text: 'ON', tabId });
     chrome.action.setBadgeBackgroundColor({ color: '#d4a574', tabId });
-    chrome.action.setTitle({ title: 'Claude Prompt Optimizer - Ready!', tabId });
+    chrome.action.setTitle({ title: `Claude Prompt Optimizer - Ready on ${site.name}!`, tabId });
+  } else if (site) {
+    chrome.action.setBadgeText({ text: '', tabId });
+    chrome.action.setTitle({ title: `Claude Prompt Optimizer - Enable ${site.name} in Options`, tabId });
   } else {
     chrome.action.setBadgeText({ text: '', tabId });
     chrome.action.setTitle({ title: 'Claude Prompt Optimizer', tabId });
   }
 }
 
+/**
+ * Register the content script on every optional site whose host permission
+ * is granted, and unregister it where the permission was removed
+ * claude.ai is covered by the manifest's content_scripts entry
+ */
+async function syncSiteScripts() {
+  const registered = await chrome.scripting.getRegisteredContentScripts();
+  const registeredIds = new Set(registered.map(script => script.id));
+
+  for (const site of SITE_ADAPTERS.filter(s => !s.builtIn)) {
+    const id = `site-${site.id}`;
+    const enabled = await isSiteEnabled(site);
+
+    if (enabled && !registeredIds.has(id)) {
+      await chrome.scripting.registerContentScripts([{
+        id,
+        matches: site.matches,
+        js: ['src/content-script.js'],
+        runAt: 'document_idle'
+      }]);
+    } else if (!enabled && registeredIds.has(id)) {
+      await chrome.scripting.unregisterContentScripts({ ids: [id] });
+    }
+  }
+}
+
+chrome.permissions.onAdded.addListener(() => {
+  syncSiteScripts().catch(error => console.error('Failed to register site scripts:', error));
+});
+chrome.permissions.onRemoved.addListener(() => {
+  syncSiteScripts().catch(error => console.error('Failed to unregister site scripts:', error));
+});
+
 // Keyboard shortcuts
 chrome.commands.onCommand.addListener(async (command) => {
   if (command === 'toggle_side_panel') {
@@ -48,12 +103,24 @@ chrome.commands.onCommand.addListener(async (command) => {
     }
   }
 
+  if (command === 'restore_original') {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab?.id) {
+        await chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_ORIGINAL' });
+      }
+    } catch (e) {
+      console.error('Failed to restore original prompt:', e);
+    }
+  }
+
   if (command === 'optimize_prompt') {
-    // Send message to active tab's content script to trigger optimization
+    // The content script reads the composer, sends it back as OPTIMIZE, and
+    // replaces it with the result (fails on tabs without the content script)
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab?.id) {
-        chrome.tabs.sendMessage(tab.id, { type: 'TRIGGER_OPTIMIZE' });
+        await chrome.tabs.sendMessage(tab.id, { type: 'TRIGGER_OPTIMIZE' });
       }
     } catch (e) {
       console.error('Failed to trigger optimization:', e);
@@ -67,24 +134,87 @@ chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: false }).catch(() =>
 // Message handling
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.type === 'OPTIMIZE') {
-    handleOptimize(request.payload)
+    // Page buttons send the raw composer text; the popup and side panel send an assembled payload
+    const options = { variants: request.variants, fresh: request.fresh };
+    const run = typeof request.rawPrompt === 'string'
+      ? optimizeRawPrompt(request.rawPrompt, { ...options, scraped: request.scraped })
+      : handleOptimize(request.payload, options);
+
+    run
       .then(response => sendResponse(response))
       .catch(error => sendResponse({ ok: false, error: error.message }));
     return true;
   }
 
   if (request.type === 'GET_CLAUDE_INPUT') {
-    getCaudeInput(sender.tab?.id)
+    getCaudeInput(sender.tab)
       .then(text => sendResponse({ text }))
       .catch(() => sendResponse({ text: '' }));
     return true;
   }
 });
 
+// Streaming optimization over a long-lived port
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== STREAM_PORT_NAME) return;
+
+  // Closing the port (cancel button, popup closed) aborts the provider call
+  const controller = new AbortController();
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
+  });
+
+  const post = (message) => {
+    if (connected) port.postMessage(message);
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type !== 'OPTIMIZE') return;
+
+    const prefs = await loadPreferences();
+    const response = await handleOptimize(message.payload, {
+      variants: message.variants,
+      fresh: message.fresh,
+      onToken: prefs.streamOutput ? (text) => post({ type: 'TOKEN', text }) : undefined,
+      onQueue: (event) => post({ type: 'QUEUED', ...event }),
+      onRetry: (event) => post({ type: 'RETRY', ...event }),
+      onFallback: (event) => post({ type: 'FALLBACK', ...event }),
+      signal: controller.signal
+    });
+
+    if (response.ok) {
+      post({
+        type: 'DONE',
+        prompt: response.prompt,
+        variants: response.variants,
+        rationales: response.rationales,
+        provider: response.provider,
+        providerName: response.providerName,
+        model: response.model,
+        cached: response.cached,
+        warning: response.warning
+      });
+    } else {
+      post({ type: 'ERROR', error: response.error });
+    }
+  });
+});
+
 /**
  * Handle optimization request
+ * @param {string} payload - The assembled prompt
+ * @param {object} [options]
+ * @param {number} [options.variants] - Number of alternative rewrites to request
+ * @param {boolean} [options.fresh] - Skip the response cache lookup
+ * @param {function(string):void} [options.onToken] - Streams chunks back to the caller
+ * @param {function(object):void} [options.onQueue] - Reports position in the rate-limit queue
+ * @param {function(object):void} [options.onRetry] - Reports an upcoming retry
+ * @param {function(object):void} [options.onFallback] - Reports a switch to the next provider
+ * @param {AbortSignal} [options.signal] - Cancels the provider request
  */
-async function handleOptimize(payload) {
+async function handleOptimize(payload, { variants, fresh, onToken, onQueue, onRetry, onFallback, signal } = {}) {
   try {
     const prefs = await loadPreferences();
 
@@ -92,14 +222,85 @@ async function handleOptimize(payload) {
       return { ok: false, error: 'API key not configured. Please set it in Options.' };
     }
 
-    const optimizedPrompt = await generateWithProvider(payload, {
-      provider: prefs.provider || 'gemini',
+    const provider = prefs.provider || 'gemini';
+    const config = {
+      provider,
       apiKey: prefs.apiKey,
       openaiKey: prefs.openaiKey,
-      ollamaUrl: prefs.ollamaUrl
+      anthropicKey: prefs.anthropicKey,
+      ollamaUrl: prefs.ollamaUrl,
+      timeouts: prefs.timeouts,
+      models: prefs.models,
+      customProviders: prefs.customProviders,
+      fallbackProviders: prefs.fallbackProviders
+    };
+
+    // Identical payloads sent to the same model at the same endpoint reuse earlier results
+    const cacheKey = prefs.cacheTtl > 0
+      ? await createCacheKey({
+        payload,
+        provider,
+        model: getModel(provider, config) || '',
+        endpoint: getEndpoint(provider, config),
+        variants: variants || 1,
+        structured: Boolean(prefs.structuredOutput)
+      })
+      : null;
+
+    if (cacheKey && !fresh) {
+      const cached = await getCachedResponse(cacheKey, prefs.cacheTtl);
+      if (cached) {
+        return { ok: true, ...cached, cached: true };
+      }
+    }
+
+    // Free providers cost nothing, so once the cap is reached only paid providers
+    // are dropped from the chain, fallbacks included
+    const budget = await checkBudget(prefs);
+    if (budget.over && prefs.budgetAction === 'block') {
+      const freeChain = [provider, ...(prefs.fallbackProviders || [])]
+        .filter(id => isFreeProvider(id, findCustomProvider(prefs, id)));
+      if (!freeChain.length) {
+        return { ok: false, error: `${budget.message}. Raise the cap in Options or switch to a free provider.` };
+      }
+      config.provider = freeChain[0];
+      config.fallbackProviders = freeChain.slice(1);
+    }
+
+    const result = await generateWithProvider(payload, config, {
+      variants,
+      structured: prefs.structuredOutput,
+      onToken,
+      onRetry,
+      onFallback,
+      signal,
+      throttle: ({ provider, providerName, signal: requestSignal }) => {
+        const limiter = getRateLimiter(provider);
+        return limiter?.acquire({
+          signal: requestSignal,
+          onWait: (status) => onQueue?.({ provider, providerName, ...status })
+        });
+      }
     });
 
-    return { ok: true, prompt: optimizedPrompt };
+    const response = {
+      prompt: result.text,
+      variants: result.variants,
+      rationales: result.rationales,
+      provider: result.provider,
+      providerName: result.providerName,
+      model: result.model
+    };
+
+    if (cacheKey) {
+      await setCachedResponse(cacheKey, response, { ttl: prefs.cacheTtl, size: prefs.cacheSize })
+        .catch(error => console.error('Failed to cache response:', error));
+    }
+
+    await recordCall(payload, result, prefs);
+    const spend = await checkBudget(prefs);
+
+    return { ok: true, ...response, cached: false, warning: spend.over ? spend.message : undefined };
 
   } catch (error) {
     console.error('Optimization error:', error);
@@ -119,18 +320,226 @@ async function handleOptimize(payload) {
 }
 
 /**
- * Get text from Claude's input field
+ * Optimize raw prompt text from the page
+ * Assembles the payload the way the popup does (active preset and strategy,
+ * target model, rule registry, token budget) and records the result in history.
+ * There is no review step in the page, so every finding is masked when
+ * redaction is on
+ * @param {string} rawPrompt - Composer text
+ * @param {object} [options] - handleOptimize options, plus scraped filenames
+ * @param {string[]} [options.scraped] - Filenames attached in the page
+ */
+async function optimizeRawPrompt(rawPrompt, { scraped = [], ...options } = {}) {
+  if (!rawPrompt.trim()) {
+    return { ok: false, error: 'Nothing to optimize' };
+  }
+
+  const prefs = await loadPreferences();
+  const { presets, activePreset } = await getPresets();
+  const preset = presets.find(p => p.id === (activePreset || 'quick'));
+  const mergedPrefs = {
+    ...prefs,
+    ...(preset?.preferences || {}),
+    targetModel: prefs.targetModel
+  };
+
+  const strategy = await getActiveStrategy();
+  const assembled = assembleWithinBudget(
+    rawPrompt, mergedPrefs, scraped, [], strategy?.template, getTokenBudget(mergedPrefs)
+  );
+
+  let payload = assembled.payload;
+  let masked = [];
+  if (prefs.redactSecrets) {
+    const redaction = redactSecrets(payload);
+    payload = redaction.text;
+    masked = redaction.findings;
+  }
+
+  const response = await handleOptimize(payload, options);
+  if (!response.ok) return response;
+
+  if (prefs.restoreRedacted && masked.length) {
+    response.prompt = restoreSecrets(response.prompt, masked);
+    response.variants = response.variants.map(v => restoreSecrets(v, masked));
+  }
+
+  await saveToHistory(rawPrompt, response.prompt, {
+    provider: response.provider,
+    providerName: response.providerName,
+    model: response.model,
+    target: mergedPrefs.targetModel,
+    rationale: response.rationales?.[0]
+  }).catch(error => console.error('Failed to save history:', error));
+
+  return {
+    ...response,
+    masked: masked.length,
+    trimmed: assembled.trimmed.map(t => t.label),
+    overBudget: assembled.overBudget
+  };
+}
+
+/**
+ * Add a completed call to the usage ledger, estimating tokens when the
+ * provider did not report usage
+ */
+async function recordCall(payload, result, prefs) {
+  const inputTokens = result.usage?.inputTokens ?? estimateTokens(payload);
+  const outputTokens = result.usage?.outputTokens
+    ?? result.variants.reduce((sum, text) => sum + estimateTokens(text), 0);
+
+  await recordUsage({
+    provider: result.provider,
+    providerName: result.providerName,
+    model: result.model,
+    inputTokens,
+    outputTokens,
+    estimated: !result.usage,
+    cost: calculateCost(
+      result.provider, result.model, inputTokens, outputTokens, findCustomProvider(prefs, result.provider)
+    )
+  }).catch(error => console.error('Failed to record usage:', error));
+}
+
+/**
+ * Look up a custom endpoint definition by provider id
+ * @returns {Object|undefined}
+ */
+function findCustomProvider(prefs, provider) {
+  return prefs.customProviders?.find(c => c.id === provider);
+}
+
+/**
+ * Compare this month's spend against the user's budget cap
+ * @returns {Promise<{over: boolean, message?: string}>}
+ */
+async function checkBudget(prefs) {
+  if (!(prefs.budgetLimit > 0)) {
+    return { over: false };
+  }
+
+  const spent = await getMonthlySpend();
+  if (spent < prefs.budgetLimit) {
+    return { over: false };
+  }
+
+  return {
+    over: true,
+    message: `Monthly budget of ${formatCost(prefs.budgetLimit)} reached (${formatCost(spent)} spent)`
+  };
+}
+
+/**
+ * Get the shared limiter for a provider, or null if it is not rate limited
+ */
+function getRateLimiter(provider) {
+  if (provider === 'ollama') return null;
+
+  if (!rateLimiters.has(provider)) {
+    rateLimiters.set(provider, createRateLimiter(RATE_LIMITS[provider] || DEFAULT_RATE_LIMIT));
+  }
+  return rateLimiters.get(provider);
+}
+
+/**
+ * Token-bucket limiter with a FIFO queue
+ * The bucket holds up to perMinute tokens and refills continuously; each
+ * request takes one token, waiting in line when the bucket is empty
+ * @param {number} perMinute - Sustained requests per minute (also the burst size)
+ */
+function createRateLimiter(perMinute) {
+  const msPerToken = 60000 / perMinute;
+  const queue = [];
+  let tokens = perMinute;
+  let updatedAt = Date.now();
+  let timer = null;
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(perMinute, tokens + (now - updatedAt) / msPerToken);
+    updatedAt = now;
+  }
+
+  // Time until the waiter at the given index gets a token
+  function waitFor(index) {
+    return Math.max(0, Math.ceil((index + 1 - tokens) * msPerToken));
+  }
+
+  function drain() {
+    clearTimeout(timer);
+    timer = null;
+    refill();
+
+    while (queue.length && tokens >= 1) {
+      tokens -= 1;
+      const waiter = queue.shift();
+      if (waiter.waited) {
+        waiter.onWait?.({ position: 0, depth: queue.length, waitMs: 0 });
+      }
+      // acquire runs again on every retry and fallback with the same signal
+      waiter.signal?.removeEventListener('abort', waiter.onAbort);
+      waiter.resolve();
+    }
+
+    queue.forEach((waiter, index) => {
+      waiter.waited = true;
+      waiter.onWait?.({ position: index + 1, depth: queue.length, waitMs: waitFor(index) });
+    });
+
+    if (queue.length) {
+      timer = setTimeout(drain, waitFor(0));
+    }
+  }
+
+  return {
+    /**
+     * Wait for a free slot
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Leaves the queue when aborted
+     * @param {function(object):void} [options.onWait] - Called with
+     *   { position, depth, waitMs } whenever the queue moves
+     */
+    acquire({ signal, onWait } = {}) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(new Error('Optimization cancelled'));
+          return;
+        }
+
+        const waiter = { resolve, onWait, waited: false, signal };
+        waiter.onAbort = () => {
+          const index = queue.indexOf(waiter);
+          if (index === -1) return;
+          queue.splice(index, 1);
+          reject(new Error('Optimization cancelled'));
+          drain();
+        };
+        queue.push(waiter);
+
+        signal?.addEventListener('abort', waiter.onAbort, { once: true });
+
+        drain();
+      });
+    }
+  };
+}
+
+/**
+ * Get text from the chat site's input field
  */
-async function getCaudeInput(tabId) {
-  if (!tabId) return '';
+async function getCaudeInput(tab) {
+  const site = getSiteAdapter(tab?.url);
+  if (!tab?.id || !site) return '';
 
   try {
     const results = await chrome.scripting.executeScript({
-      target: { tabId },
-      func: () => {
-        const el = document.querySelector('[contenteditable="true"], .ProseMirror, [role="textbox"]');
-        return el?.textContent || el?.innerText || '';
-      }
+      target: { tabId: tab.id },
+      func: (selectors) => {
+        const el = selectors.map(s => document.querySelector(s)).find(Boolean);
+        return el?.value ?? (el?.innerText || el?.textContent || '');
+      },
+      args: [site.composer]
     });
     return results[0]?.result || '';
   } catch {
@@ -140,6 +549,8 @@ async function getCaudeInput(tabId) {
 
 // Context menu for quick optimization
 chrome.runtime.onInstalled.addListener(() => {
+  syncSiteScripts().catch(error => console.error('Failed to register site scripts:', error));
+
   chrome.contextMenus.create({
     id: 'optimize-selection',
     title: 'Optimize with Claude Optimizer',
@@ -2,191 +2,784 @@
 'use strict';
 
 /**
- * Content script for claude.ai
- * Handles file scraping, prompt injection, and keyboard triggers
+ * Content script for the chat sites in siteAdapters.js
+ * Handles file scraping, prompt injection, keyboard triggers, and the inline
+ * Optimize button next to the composer. Runs on claude.ai from the manifest
+ * and on other sites once the background worker registers it for them
  */
 
-// Listen for messages from popup/background
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'SCRAPE_CLAUDE_FILES') {
-    const filenames = scrapeFilenames();
-    sendResponse({ filenames });
+// Tabs opened before an install or update get the script injected on demand,
+// so a second copy in the same page returns before doing anything
+(() => {
+  if (window.__claudeOptimizerLoaded) return;
+  window.__claudeOptimizerLoaded = true;
+
+  const INLINE_HOST_ID = 'claude-optimizer-inline';
+  const TOAST_HOST_ID = 'claude-optimizer-toast';
+  const TOAST_DURATION = 6000;
+
+  let optimizing = false;
+  let toastRoot = null;
+  let toastTimer = null;
+  let inlineRoot = null;
+
+  // Versions of the composer text since the last manual draft: [draft, optimized, ...]
+  // The content script runs once per tab, so this is a per-tab stack
+  let composerVersions = [];
+  let versionIndex = -1;
+
+  // Adapter for this page; set once siteAdapters.js has loaded
+  let site = null;
+
+  // Listen for messages from popup/background; they are answered once the site
+  // adapter has loaded, so a script injected just before the message still finds the composer
+  chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    siteReady.then(() => handleMessage(request, sendResponse));
+    return true;
+  });
+
+  function handleMessage(request, sendResponse) {
+    if (request.type === 'SCRAPE_CLAUDE_FILES') {
+      const filenames = scrapeFilenames();
+      sendResponse({ filenames });
+    }
+
+    if (request.type === 'GET_PROMPT') {
+      const prompt = getPromptText();
+      sendResponse({ prompt });
+    }
+
+    if (request.type === 'SET_PROMPT') {
+      sendResponse(replaceComposerText(request.text));
+    }
+
+    if (request.type === 'TOGGLE_ORIGINAL') {
+      // restore_original keyboard command
+      flipComposerVersion();
+      sendResponse({ received: true });
+    }
+
+    if (request.type === 'TRIGGER_OPTIMIZE') {
+      // optimize_prompt keyboard command
+      sendResponse({ received: true });
+      optimizeFromShortcut();
+    }
   }
 
-  if (request.type === 'GET_PROMPT') {
-    const prompt = getPromptText();
-    sendResponse({ prompt });
+  /**
+   * Get text from the site's input field
+   * With the 'blocks' read strategy, editor blocks are read back as markdown
+   * (one line per paragraph, fenced code, list markers) so what setPromptText
+   * wrote round-trips
+   */
+  function getPromptText() {
+    const el = findComposer();
+    if (!el) return '';
+    if ('value' in el) return el.value;
+    if (site.read === 'text') return el.innerText || el.textContent || '';
+
+    const blocks = Array.from(el.children);
+    if (!blocks.length) return el.innerText || el.textContent || '';
+
+    return blocks.map(blockToMarkdown).join('\n');
   }
 
-  if (request.type === 'SET_PROMPT') {
-    const success = setPromptText(request.text);
-    sendResponse({ success });
+  function blockToMarkdown(block) {
+    const tag = block.tagName;
+
+    if (tag === 'PRE') {
+      const lang = block.querySelector('code')?.className.match(/language-(\S+)/)?.[1] || '';
+      return `\`\`\`${lang}\n${block.textContent.replace(/\n$/, '')}\n\`\`\``;
+    }
+    if (tag === 'UL' || tag === 'OL') {
+      return Array.from(block.children)
+        .map((item, i) => `${tag === 'OL' ? `${i + 1}.` : '-'} ${item.textContent}`)
+        .join('\n');
+    }
+    if (/^H[1-6]$/.test(tag)) {
+      return `${'#'.repeat(Number(tag[1]))} ${block.textContent}`;
+    }
+    if (tag === 'BLOCKQUOTE') {
+      return block.textContent.split('\n').map(line => `> ${line}`).join('\n');
+    }
+    return block.textContent;
   }
 
-  if (request.type === 'TRIGGER_OPTIMIZE') {
-    // Open the extension popup via keyboard shortcut
-    // This is handled by the background script
-    sendResponse({ received: true });
+  /**
+   * Set text in the site's input field
+   * With the 'paste' write strategy, replaces the whole composer with a synthetic
+   * paste carrying text/html (so paragraphs, code fences and lists become editor
+   * nodes) and text/plain, falling back to insertHTML and then insertText; the
+   * 'text' strategy only uses insertText. Each attempt is checked by reading the
+   * composer back
+   * @returns {{ success: boolean, method?: string, error?: string }}
+   */
+  function setPromptText(text) {
+    const el = findComposer();
+    if (!el) {
+      return { success: false, error: `${site?.name || 'Chat'} input not found` };
+    }
+
+    el.focus();
+
+    if ('value' in el) {
+      // Plain textarea: go through the native setter so frameworks see the change
+      const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value').set;
+      setter.call(el, text);
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      return el.value === text
+        ? { success: true, method: 'value' }
+        : { success: false, error: 'Composer rejected the text' };
+    }
+
+    const html = markdownToHtml(text);
+    const attempts = [
+      ['paste', () => {
+        const data = new DataTransfer();
+        data.setData('text/html', html);
+        data.setData('text/plain', text);
+        el.dispatchEvent(new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true }));
+      }],
+      ['insertHTML', () => document.execCommand('insertHTML', false, html)],
+      ['insertText', () => document.execCommand('insertText', false, text)]
+    ].filter(([method]) => site.write === 'paste' || method === 'insertText');
+
+    for (const [method, insert] of attempts) {
+      selectAllIn(el);
+      insert();
+      if (matchesComposer(el, text)) {
+        return { success: true, method };
+      }
+    }
+
+    return { success: false, error: 'The composer text does not match the prompt after inserting it' };
   }
 
-  return true;
-});
+  function selectAllIn(el) {
+    const range = document.createRange();
+    range.selectNodeContents(el);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
 
-/**
- * Get text from Claude's input field
- */
-function getPromptText() {
-  const selectors = [
-    '[data-placeholder="How can Claude help you today?"]',
-    'div[contenteditable="true"]',
-    '.ProseMirror',
-    '[role="textbox"]',
-    'textarea'
-  ];
+  // Compare visible text only; markdown markers turn into nodes, and editors
+  // are free to reflow whitespace
+  function matchesComposer(el, text) {
+    let inFence = false;
+    const visible = text.split('\n').map(line => {
+      if (/^```/.test(line)) {
+        inFence = !inFence;
+        return '';
+      }
+      if (inFence) return line;
+      return line
+        .replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')
+        .replace(/^#{1,6}\s+/, '')
+        .replace(/^>\s?/, '');
+    }).join('\n');
+
+    return stripWhitespace(el.textContent) === stripWhitespace(visible);
+  }
 
-  for (const selector of selectors) {
-    const el = document.querySelector(selector);
-    if (el) {
-      return el.textContent || el.innerText || el.value || '';
+  function stripWhitespace(text) {
+    return (text || '').replace(/\s+/g, '');
+  }
+
+  /**
+   * Convert prompt markdown into the block HTML the editor understands on paste:
+   * one paragraph per line (empty ones keep blank lines), fenced code blocks,
+   * bullet and numbered lists, headings and quotes
+   */
+  function markdownToHtml(text) {
+    const lines = text.split('\n');
+    const html = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const fence = line.match(/^```(\S*)/);
+
+      if (fence) {
+        const code = [];
+        while (++i < lines.length && !/^```\s*$/.test(lines[i])) {
+          code.push(lines[i]);
+        }
+        const lang = fence[1] ? ` class="language-${escapeHtml(fence[1])}"` : '';
+        html.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      const list = line.match(/^\s*(?:([-*+])|\d+[.)])\s+/);
+      if (list) {
+        const tag = list[1] ? 'ul' : 'ol';
+        const pattern = tag === 'ul' ? /^\s*[-*+]\s+/ : /^\s*\d+[.)]\s+/;
+        const items = [];
+        while (i < lines.length && pattern.test(lines[i])) {
+          items.push(`<li><p>${escapeHtml(lines[i].replace(pattern, ''))}</p></li>`);
+          i++;
+        }
+        i--;
+        html.push(`<${tag}>${items.join('')}</${tag}>`);
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        html.push(`<h${heading[1].length}>${escapeHtml(heading[2])}</h${heading[1].length}>`);
+      } else if (/^>\s?/.test(line)) {
+        html.push(`<blockquote><p>${escapeHtml(line.replace(/^>\s?/, ''))}</p></blockquote>`);
+      } else {
+        html.push(line ? `<p>${escapeHtml(line)}</p>` : '<p><br></p>');
+      }
     }
+
+    return html.join('');
   }
 
-  return '';
-}
+  function escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
 
-/**
- * Set text in Claude's input field
- */
-function setPromptText(text) {
-  const selectors = [
-    '[data-placeholder="How can Claude help you today?"]',
-    'div[contenteditable="true"]',
-    '.ProseMirror',
-    '[role="textbox"]'
-  ];
-
-  for (const selector of selectors) {
-    const el = document.querySelector(selector);
-    if (el) {
-      el.focus();
-
-      // Clear existing content
-      if (el.innerHTML !== undefined) {
-        el.innerHTML = '';
+  /**
+   * Scrape file names from the chat interface
+   */
+  function scrapeFilenames() {
+    const filenames = new Set();
+
+    // Selectors for file attachments
+    const selectors = site?.attachments || [];
+
+    selectors.forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(el => {
+          const filename = extractFilename(el);
+          if (filename) {
+            filenames.add(filename);
+          }
+        });
+      } catch (e) {
+        // Skip failed selectors
       }
+    });
 
-      // Insert text
-      document.execCommand('insertText', false, text);
+    // Look for filename patterns in visible text
+    const filenameRegex = /\b[\w-]+\.(txt|js|ts|jsx|tsx|html|css|md|json|py|java|cpp|c|rs|go|sql|sh|yaml|yml|xml|php|rb|swift|kt)\b/gi;
 
-      // Dispatch input event
-      el.dispatchEvent(new Event('input', { bubbles: true }));
+    document.querySelectorAll('div, span, p').forEach(el => {
+      const text = el.textContent || '';
+      const matches = text.match(filenameRegex);
+      if (matches) {
+        matches.forEach(match => {
+          if (match.length < 100 && isElementVisible(el)) {
+            filenames.add(match);
+          }
+        });
+      }
+    });
 
-      return true;
+    return Array.from(filenames);
+  }
+
+  /**
+   * Extract filename from an element
+   */
+  function extractFilename(element) {
+    // Check download attribute
+    if (element.hasAttribute('download')) {
+      return element.getAttribute('download');
+    }
+
+    // Check aria-label
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.includes('.')) {
+      const match = ariaLabel.match(/[\w-]+\.\w+/);
+      if (match) return match[0];
+    }
+
+    // Check text content
+    const text = element.textContent?.trim();
+    if (text && text.includes('.') && text.length < 100) {
+      const match = text.match(/[\w-]+\.\w+/);
+      if (match) return match[0];
+    }
+
+    // Check title attribute
+    const title = element.getAttribute('title');
+    if (title && title.includes('.')) {
+      const match = title.match(/[\w-]+\.\w+/);
+      if (match) return match[0];
     }
+
+    return null;
   }
 
-  return false;
-}
+  /**
+   * Check if element is visible
+   */
+  function isElementVisible(element) {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
 
-/**
- * Scrape file names from Claude interface
- */
-function scrapeFilenames() {
-  const filenames = new Set();
-
-  // Selectors for file attachments
-  const selectors = [
-    '[data-testid*="attachment"]',
-    '[data-testid*="file"]',
-    '.file-pill',
-    '.attachment-pill',
-    'a[download]',
-    '[aria-label*="file"]',
-    '[aria-label*="attachment"]',
-    'div[class*="file"]:not([class*="input"])',
-    'div[class*="attachment"]:not([class*="button"])',
-    'span[class*="file"]:not([class*="input"])'
-  ];
-
-  selectors.forEach(selector => {
-    try {
-      document.querySelectorAll(selector).forEach(el => {
-        const filename = extractFilename(el);
-        if (filename) {
-          filenames.add(filename);
-        }
-      });
-    } catch (e) {
-      // Skip failed selectors
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.display !== 'none' &&
+      style.visibility !== 'hidden' &&
+      style.opacity !== '0'
+    );
+  }
+
+  /**
+   * Find the site's composer
+   */
+  function findComposer() {
+    for (const selector of site?.composer || []) {
+      const el = document.querySelector(selector);
+      if (el) return el;
     }
-  });
+    return null;
+  }
 
-  // Look for filename patterns in visible text
-  const filenameRegex = /\b[\w-]+\.(txt|js|ts|jsx|tsx|html|css|md|json|py|java|cpp|c|rs|go|sql|sh|yaml|yml|xml|php|rb|swift|kt)\b/gi;
+  /**
+   * Mount the inline Optimize button next to the composer
+   * The button lives in a closed shadow root so page styles can't reach it
+   */
+  function mountInlineButton() {
+    const composer = findComposer();
+    const anchor = composer?.parentElement;
+    if (!anchor) return;
 
-  document.querySelectorAll('div, span, p').forEach(el => {
-    const text = el.textContent || '';
-    const matches = text.match(filenameRegex);
-    if (matches) {
-      matches.forEach(match => {
-        if (match.length < 100 && isElementVisible(el)) {
-          filenames.add(match);
+    const existing = document.getElementById(INLINE_HOST_ID);
+    if (existing && existing.previousElementSibling === anchor) return;
+    existing?.remove();
+
+    const host = document.createElement('div');
+    host.id = INLINE_HOST_ID;
+    const shadow = host.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = `
+      <style>
+        :host {
+          all: initial;
+          display: flex;
+          justify-content: flex-end;
+          padding: 4px 0;
+        }
+        button {
+          display: inline-flex;
+          align-items: center;
+          gap: 6px;
+          padding: 4px 10px;
+          border: 1px solid #d4a574;
+          border-radius: 6px;
+          background: #fff;
+          color: #8a5a2b;
+          font: 500 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          cursor: pointer;
         }
-      });
+        button:hover:not(:disabled) {
+          background: #d4a574;
+          color: #fff;
+        }
+        button:disabled {
+          cursor: progress;
+          opacity: 0.7;
+        }
+        button.error {
+          border-color: #dc3545;
+          color: #dc3545;
+        }
+        .spinner {
+          display: none;
+          width: 10px;
+          height: 10px;
+          border: 2px solid currentColor;
+          border-right-color: transparent;
+          border-radius: 50%;
+          animation: spin 0.8s linear infinite;
+        }
+        button.loading .spinner {
+          display: inline-block;
+        }
+        @keyframes spin {
+          to { transform: rotate(360deg); }
+        }
+        .chip {
+          margin-right: 6px;
+          border-color: #ccc;
+          border-radius: 12px;
+          color: #555;
+        }
+        .chip:hover:not(:disabled) {
+          background: #eee;
+          color: #1a1a1a;
+        }
+        .chip[hidden] {
+          display: none;
+        }
+      </style>
+      <button type="button" class="chip" title="Flip between original and optimized (Alt+Shift+Z)" hidden></button>
+      <button type="button" class="optimize" title="Optimize this prompt with Claude Prompt Optimizer">
+        <span class="spinner"></span><span class="label">✨ Optimize</span>
+      </button>
+    `;
+
+    const button = shadow.querySelector('.optimize');
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      optimizeComposer(button);
+    });
+
+    shadow.querySelector('.chip').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      flipComposerVersion();
+    });
+
+    inlineRoot = shadow;
+    anchor.after(host);
+    updateRestoreChip();
+  }
+
+  /**
+   * Write text to the composer, keeping what it held before on the version stack
+   * @returns {{ success: boolean, method?: string, error?: string }} From setPromptText
+   */
+  function replaceComposerText(text) {
+    const current = getPromptText();
+
+    // Text typed since the last write starts a new stack with it as the draft
+    if (versionIndex < 0 || !sameText(current, composerVersions[versionIndex])) {
+      composerVersions = current.trim() ? [current] : [];
+    } else {
+      composerVersions = composerVersions.slice(0, versionIndex + 1);
     }
-  });
 
-  return Array.from(filenames);
-}
+    const result = setPromptText(text);
+    if (result.success) {
+      composerVersions.push(text);
+    }
 
-/**
- * Extract filename from an element
- */
-function extractFilename(element) {
-  // Check download attribute
-  if (element.hasAttribute('download')) {
-    return element.getAttribute('download');
+    versionIndex = composerVersions.length - 1;
+    updateRestoreChip();
+    return result;
   }
 
-  // Check aria-label
-  const ariaLabel = element.getAttribute('aria-label');
-  if (ariaLabel && ariaLabel.includes('.')) {
-    const match = ariaLabel.match(/[\w-]+\.\w+/);
-    if (match) return match[0];
+  /**
+   * Show another version from the stack
+   * Edits made to the version on screen are kept before switching away
+   * @param {number} index - Position in the stack
+   * @returns {boolean} Whether the version was written to the composer
+   */
+  function showComposerVersion(index) {
+    if (index < 0 || index >= composerVersions.length || index === versionIndex) return false;
+
+    const current = getPromptText();
+    if (!sameText(current, composerVersions[versionIndex])) {
+      composerVersions[versionIndex] = current;
+    }
+
+    if (!setPromptText(composerVersions[index]).success) return false;
+
+    versionIndex = index;
+    updateRestoreChip();
+    return true;
   }
 
-  // Check text content
-  const text = element.textContent?.trim();
-  if (text && text.includes('.') && text.length < 100) {
-    const match = text.match(/[\w-]+\.\w+/);
-    if (match) return match[0];
+  /**
+   * Flip between the original draft and the latest optimized version
+   */
+  function flipComposerVersion() {
+    if (composerVersions.length < 2) {
+      showToast('Nothing to restore', { type: 'error' });
+      return;
+    }
+
+    const top = composerVersions.length - 1;
+    const showOriginal = versionIndex === top;
+    if (showComposerVersion(showOriginal ? 0 : top)) {
+      showToast(showOriginal ? 'Original prompt restored' : 'Optimized prompt restored');
+    } else {
+      showToast('Could not write to the composer', { type: 'error' });
+    }
   }
 
-  // Check title attribute
-  const title = element.getAttribute('title');
-  if (title && title.includes('.')) {
-    const match = title.match(/[\w-]+\.\w+/);
-    if (match) return match[0];
+  /**
+   * Show the Restore original / Show optimized chip while there is something to flip to
+   */
+  function updateRestoreChip() {
+    const chip = inlineRoot?.querySelector('.chip');
+    if (!chip) return;
+
+    const top = composerVersions.length - 1;
+    chip.hidden = top < 1;
+    chip.textContent = versionIndex === top ? '↺ Restore original' : '↻ Show optimized';
   }
 
-  return null;
-}
+  // Compare composer text ignoring whitespace, which the editor may reflow
+  function sameText(a, b) {
+    return (a || '').replace(/\s+/g, '') === (b || '').replace(/\s+/g, '');
+  }
 
-/**
- * Check if element is visible
- */
-function isElementVisible(element) {
-  const rect = element.getBoundingClientRect();
-  const style = window.getComputedStyle(element);
-
-  return (
-    rect.width > 0 &&
-    rect.height > 0 &&
-    style.display !== 'none' &&
-    style.visibility !== 'hidden' &&
-    style.opacity !== '0'
-  );
-}
-
-// Notify that content script is ready
-console.log('[Claude Optimizer] Content script loaded');
+  /**
+   * Optimize the composer text in place through the background OPTIMIZE handler
+   * The text it replaces goes on the version stack
+   * @returns {Promise<Object>} The background response
+   */
+  async function optimizeComposerText() {
+    const original = getPromptText();
+    if (!original.trim()) {
+      throw new Error('Nothing to optimize');
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'OPTIMIZE',
+      rawPrompt: original.trim(),
+      scraped: scrapeFilenames()
+    });
+
+    if (!response?.ok) {
+      throw new Error(response?.error || 'Optimization failed');
+    }
+    const written = replaceComposerText(response.prompt);
+    if (!written.success) {
+      throw new Error(written.error);
+    }
+
+    return response;
+  }
+
+  /**
+   * Inline button handler; the button itself shows the loading state
+   */
+  async function optimizeComposer(button) {
+    if (optimizing) return;
+    optimizing = true;
+
+    const label = button.querySelector('.label');
+    button.disabled = true;
+    button.classList.remove('error');
+    button.classList.add('loading');
+    label.textContent = 'Optimizing...';
+
+    try {
+      const response = await optimizeComposerText();
+      button.classList.remove('loading');
+      flashButton(button, '✓ Optimized');
+      showUndoToast(response);
+    } catch (error) {
+      button.classList.remove('loading');
+      button.classList.add('error');
+      button.title = error.message;
+      flashButton(button, 'Failed');
+    } finally {
+      optimizing = false;
+    }
+  }
+
+  /**
+   * Run the optimize_prompt command, reporting progress in a toast
+   */
+  async function optimizeFromShortcut() {
+    if (optimizing) return;
+    optimizing = true;
+
+    showToast('Optimizing prompt...', { type: 'loading', duration: 0 });
+
+    try {
+      showUndoToast(await optimizeComposerText());
+    } catch (error) {
+      showToast(error.message, { type: 'error' });
+    } finally {
+      optimizing = false;
+    }
+  }
+
+  /**
+   * Confirm an in-place optimization and offer to put the original back
+   */
+  function showUndoToast(response) {
+    const notes = [];
+    if (response.masked) notes.push(`${response.masked} masked`);
+    if (response.trimmed?.length) notes.push('trimmed to budget');
+    const detail = notes.length ? ` (${notes.join(', ')})` : '';
+
+    // An empty composer leaves no earlier version to go back to
+    showToast(`Optimized with ${response.providerName}${response.cached ? ' (cached)' : ''}${detail}`, {
+      type: 'success',
+      action: versionIndex < 1 ? undefined : {
+        label: 'Undo',
+        onClick: () => {
+          const restored = showComposerVersion(versionIndex - 1);
+          showToast(restored ? 'Original prompt restored' : 'Could not write to the composer', {
+            type: restored ? 'success' : 'error'
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Show a message in the bottom corner of the page, replacing any current one
+   * @param {string} message
+   * @param {object} [options]
+   * @param {'loading'|'success'|'error'} [options.type]
+   * @param {{label: string, onClick: function}} [options.action] - One button
+   * @param {number} [options.duration] - Milliseconds before hiding; 0 keeps it open
+   */
+  function showToast(message, { type = 'success', action, duration = TOAST_DURATION } = {}) {
+    if (!toastRoot?.host.isConnected) {
+      const host = document.createElement('div');
+      host.id = TOAST_HOST_ID;
+      toastRoot = host.attachShadow({ mode: 'closed' });
+      toastRoot.innerHTML = `
+        <style>
+          :host {
+            all: initial;
+            position: fixed;
+            right: 20px;
+            bottom: 20px;
+            z-index: 2147483647;
+          }
+          .toast {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            max-width: 360px;
+            padding: 10px 14px;
+            border-radius: 8px;
+            border-left: 4px solid #d4a574;
+            background: #1a1a1a;
+            color: #e8e8e8;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+            font: 13px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          }
+          .toast.success { border-left-color: #28a745; }
+          .toast.error { border-left-color: #dc3545; }
+          .toast[hidden] { display: none; }
+          .message { flex: 1; }
+          button {
+            padding: 3px 10px;
+            border: 1px solid #d4a574;
+            border-radius: 4px;
+            background: transparent;
+            color: #d4a574;
+            font-family: inherit;
+            font-size: 12px;
+            font-weight: 600;
+            cursor: pointer;
+          }
+          button:hover { background: #d4a574; color: #1a1a1a; }
+          button[hidden] { display: none; }
+          .spinner {
+            width: 12px;
+            height: 12px;
+            border: 2px solid #d4a574;
+            border-right-color: transparent;
+            border-radius: 50%;
+            animation: spin 0.8s linear infinite;
+          }
+          .spinner[hidden] { display: none; }
+          @keyframes spin {
+            to { transform: rotate(360deg); }
+          }
+        </style>
+        <div class="toast" role="status" aria-live="polite" hidden>
+          <span class="spinner" hidden></span>
+          <span class="message"></span>
+          <button type="button" hidden></button>
+        </div>
+      `;
+      document.body.appendChild(host);
+    }
+
+    const toast = toastRoot.querySelector('.toast');
+    const button = toast.querySelector('button');
+
+    toast.className = `toast ${type}`;
+    toast.querySelector('.spinner').hidden = type !== 'loading';
+    toast.querySelector('.message').textContent = message;
+
+    button.hidden = !action;
+    button.textContent = action?.label || '';
+    button.onclick = action
+      ? () => {
+        toast.hidden = true;
+        action.onClick();
+      }
+      : null;
+
+    toast.hidden = false;
+    clearTimeout(toastTimer);
+    if (duration > 0) {
+      toastTimer = setTimeout(() => {
+        toast.hidden = true;
+      }, duration);
+    }
+  }
+
+  /**
+   * Show a short message on the button, then restore it
+   */
+  function flashButton(button, message) {
+    const label = button.querySelector('.label');
+    button.disabled = true;
+    label.textContent = message;
+
+    setTimeout(() => {
+      button.disabled = false;
+      button.classList.remove('error');
+      button.title = 'Optimize this prompt with Claude Prompt Optimizer';
+      label.textContent = '✨ Optimize';
+    }, 2500);
+  }
+
+  // Chat sites are single-page apps that replace the composer on navigation,
+  // so re-attach the button whenever the DOM changes (at most once per frame)
+  let remountScheduled = false;
+  const inlineObserver = new MutationObserver(() => {
+    if (remountScheduled) return;
+    remountScheduled = true;
+    requestAnimationFrame(() => {
+      remountScheduled = false;
+      mountInlineButton();
+
+      // A cleared composer means the prompt was sent, so there is nothing left to restore
+      if (composerVersions.length && !getPromptText().trim()) {
+        composerVersions = [];
+        versionIndex = -1;
+        updateRestoreChip();
+      }
+    });
+  });
+
+  // Sending the prompt also ends the chance to restore it
+  function handleSendClick(e) {
+    if (composerVersions.length && e.target.closest?.(site.sendButton)) {
+      composerVersions = [];
+      versionIndex = -1;
+      updateRestoreChip();
+    }
+  }
+
+  // Content scripts can't be modules, so the adapters are loaded with a dynamic
+  // import (siteAdapters.js is a web-accessible resource)
+  const siteReady = (async () => {
+    const { getSiteAdapter } = await import(chrome.runtime.getURL('src/utils/siteAdapters.js'));
+    site = getSiteAdapter(location.href);
+    if (!site) return;
+
+    // A copy injected after an extension update replaces the old copy's dead button
+    document.getElementById(INLINE_HOST_ID)?.remove();
+    mountInlineButton();
+    inlineObserver.observe(document.body, { childList: true, subtree: true });
+    document.addEventListener('click', handleSendClick, true);
+  })().catch(error => console.error('[Claude Optimizer] Failed to load site adapters:', error));
+
+  // Notify that content script is ready
+  console.log('[Claude Optimizer] Content script loaded');
+})();
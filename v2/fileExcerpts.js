@@ -0,0 +1,188 @@
+// extension/src/utils/fileExcerpts.js
+'use strict';
+
+/**
+ * Excerpts of embedded files that are too long to send whole
+ * Strategies: the first lines, head + tail, a structural outline of
+ * declarations, or the line ranges that mention terms from the prompt
+ */
+
+export const TRUNCATION_STRATEGIES = [
+  { id: 'head', name: 'First lines' },
+  { id: 'headTail', name: 'Head + tail' },
+  { id: 'outline', name: 'Outline' },
+  { id: 'relevant', name: 'Relevant to prompt' }
+];
+
+// Lines of context kept around each keyword match
+const RELEVANCE_CONTEXT = 3;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'from', 'into', 'what', 'when', 'where', 'which',
+  'how', 'why', 'please', 'code', 'file', 'files', 'make', 'use', 'using', 'add', 'fix', 'write',
+  'should', 'would', 'could', 'there', 'their', 'about', 'have', 'has', 'not', 'are', 'was', 'can',
+  'will', 'all', 'any', 'some', 'more', 'does', 'need', 'want', 'like', 'just', 'also', 'only',
+  'then', 'than', 'them', 'they', 'you', 'your', 'our', 'its', 'but', 'get', 'way', 'new'
+]);
+
+const JS_OUTLINE = [
+  /^\s*(export\s+)?(default\s+)?(async\s+)?function\b/,
+  /^\s*(export\s+)?(default\s+)?(abstract\s+)?class\s+\w+/,
+  /^\s*(export\s+)?(const|let|var)\s+\w+\s*=\s*(async\s+)?(function\b|\([^)]*\)\s*=>|\w+\s*=>)/,
+  /^\s*(export\s+)?(interface|type|enum)\s+\w+/,
+  /^\s+(static\s+)?(async\s+)?(get\s+|set\s+)?(?!(if|for|while|switch|catch|return)\b)[\w$]+\s*\([^)]*\)\s*\{/
+];
+
+const C_LIKE_OUTLINE = [
+  /^\s*(public|private|protected|internal|static|abstract|final|sealed|partial|\s)*(class|interface|enum|record|struct|namespace)\s+\w+/,
+  /^\s*(public|private|protected|internal)\s+[\w<>[\],.?\s]+\s+\w+\s*\(/,
+  /^[A-Za-z_][\w:<>*&\s]*\s+\**[\w:~]+\s*\([^;]*\)\s*(const)?\s*\{?\s*$/
+];
+
+// Declaration patterns per language id from getLanguageFromExt
+const OUTLINE_PATTERNS = {
+  javascript: JS_OUTLINE,
+  jsx: JS_OUTLINE,
+  typescript: JS_OUTLINE,
+  tsx: JS_OUTLINE,
+  python: [/^\s*(async\s+)?def\s+\w+/, /^\s*class\s+\w+/],
+  ruby: [/^\s*(def|class|module)\s+/],
+  java: C_LIKE_OUTLINE,
+  csharp: C_LIKE_OUTLINE,
+  cpp: C_LIKE_OUTLINE,
+  c: C_LIKE_OUTLINE,
+  go: [/^func\s+/, /^type\s+\w+\s+(struct|interface)\b/],
+  rust: [/^\s*(pub(\([^)]*\))?\s+)?(async\s+)?(fn|struct|enum|trait|impl|mod)\b/],
+  php: [
+    /^\s*((abstract|final)\s+)?(class|interface|trait)\s+\w+/,
+    /^\s*((public|private|protected|static)\s+)*function\s+\w+/
+  ],
+  html: [/<(head|body|header|nav|main|section|article|aside|footer|form|script|style|template)\b/i, /\sid="[^"]+"/],
+  css: [/^\s*@(media|supports|keyframes|layer)\b/, /^[^\s{}][^{}]*\{\s*$/],
+  scss: [/^\s*@(media|mixin|function|include|supports|keyframes)\b/, /^[^\s{}][^{}]*\{\s*$/],
+  json: [/^\s{0,2}"[^"]+"\s*:/],
+  yaml: [/^[\w"'-][^:#]*:/],
+  markdown: [/^#{1,6}\s/],
+  sql: [/^\s*(create|alter)\s+(or\s+replace\s+)?(table|view|index|function|procedure|trigger)\b/i],
+  bash: [/^\s*function\s+\w+/, /^\s*[\w-]+\s*\(\)\s*\{/],
+  powershell: [/^\s*function\s+[\w-]+/i]
+};
+
+/**
+ * Cut a file down to at most maxLines lines
+ * Outline and relevance excerpts fall back to the first lines when nothing matches
+ * @param {string} text - File content
+ * @param {Object} options
+ * @param {string} [options.strategy] - Id from TRUNCATION_STRATEGIES
+ * @param {number} options.maxLines - Line limit
+ * @param {string} [options.lang] - Language id from getLanguageFromExt
+ * @param {string} [options.prompt] - Raw prompt, for relevance excerpts
+ * @returns {{ text: string, note: string }} note is empty when the file fits
+ */
+export function excerptFile(text, { strategy = 'head', maxLines, lang, prompt = '' }) {
+  const lines = text.split('\n');
+
+  if (lines.length <= maxLines) {
+    return { text, note: '' };
+  }
+
+  if (strategy === 'headTail') {
+    return headTail(lines, maxLines);
+  }
+  if (strategy === 'outline') {
+    const outline = outlineLines(lines, lang, maxLines);
+    if (outline) return outline;
+  }
+  if (strategy === 'relevant') {
+    const excerpt = relevantLines(lines, prompt, maxLines);
+    if (excerpt) return excerpt;
+  }
+
+  return {
+    text: lines.slice(0, maxLines).join('\n'),
+    note: `[TRUNCATED: showing ${maxLines} of ${lines.length} lines]`
+  };
+}
+
+function headTail(lines, maxLines) {
+  const head = Math.ceil(maxLines / 2);
+  const tail = maxLines - head;
+  const omitted = lines.length - head - tail;
+
+  return {
+    text: [
+      ...lines.slice(0, head),
+      `... [${omitted} lines omitted] ...`,
+      ...(tail ? lines.slice(-tail) : [])
+    ].join('\n'),
+    note: `[TRUNCATED: first ${head} and last ${tail} of ${lines.length} lines]`
+  };
+}
+
+function outlineLines(lines, lang, maxLines) {
+  const patterns = OUTLINE_PATTERNS[lang];
+  if (!patterns) return null;
+
+  const indexes = [];
+  lines.forEach((line, i) => {
+    if (patterns.some(pattern => pattern.test(line))) indexes.push(i);
+  });
+  if (!indexes.length) return null;
+
+  const shown = indexes.slice(0, maxLines);
+  return {
+    text: shown.map(i => `${i + 1}: ${lines[i].trimEnd()}`).join('\n'),
+    note: `[OUTLINE: ${shown.length} of ${indexes.length} declarations from ${lines.length} lines, prefixed with line numbers]`
+  };
+}
+
+function relevantLines(lines, prompt, maxLines) {
+  const keywords = extractKeywords(prompt);
+  if (!keywords.length) return null;
+
+  // Lines matching more distinct keywords come first
+  const matches = lines
+    .map((line, i) => {
+      const lower = line.toLowerCase();
+      return { i, score: keywords.filter(k => lower.includes(k)).length };
+    })
+    .filter(m => m.score > 0)
+    .sort((a, b) => b.score - a.score || a.i - b.i);
+  if (!matches.length) return null;
+
+  const kept = new Set();
+  for (const { i } of matches) {
+    const start = Math.max(0, i - RELEVANCE_CONTEXT);
+    const end = Math.min(lines.length - 1, i + RELEVANCE_CONTEXT);
+
+    // The match itself first, then its surrounding lines
+    for (const index of [i, ...range(start, end)]) {
+      if (kept.size >= maxLines) break;
+      kept.add(index);
+    }
+    if (kept.size >= maxLines) break;
+  }
+
+  const indexes = [...kept].sort((a, b) => a - b);
+  const out = [];
+  indexes.forEach((index, n) => {
+    if (n > 0 && index !== indexes[n - 1] + 1) out.push('...');
+    out.push(`${index + 1}: ${lines[index].trimEnd()}`);
+  });
+
+  return {
+    text: out.join('\n'),
+    note: `[EXCERPTS: ${indexes.length} of ${lines.length} lines around terms from the prompt, prefixed with line numbers]`
+  };
+}
+
+function extractKeywords(prompt) {
+  const words = (prompt.toLowerCase().match(/[a-z_$][\w$-]*/g) || [])
+    .filter(word => word.length >= 3 && !STOPWORDS.has(word));
+  return [...new Set(words)];
+}
+
+function range(start, end) {
+  return Array.from({ length: end - start + 1 }, (_, k) => start + k);
+}
+
@@ -0,0 +1,102 @@
+// extension/src/utils/optimizeStream.js
+'use strict';
+
+/**
+ * Client side of the streaming transport
+ * Popup and side panel open a long-lived port to the background service worker,
+ * which forwards provider tokens as they arrive
+ */
+
+export const STREAM_PORT_NAME = 'optimize-stream';
+
+/**
+ * Run an optimization through the background service worker
+ * @param {string} payload - The assembled prompt
+ * @param {object} [handlers]
+ * @param {number} [handlers.variants=1] - Number of alternative rewrites to request;
+ *   more than one arrives whole in the DONE message rather than streamed
+ * @param {boolean} [handlers.fresh] - Bypass the background response cache
+ * @param {function(string):void} [handlers.onToken] - Receives streamed text chunks
+ * @param {function(object):void} [handlers.onQueue] - Called with
+ *   { provider, providerName, position, depth, waitMs } while the request waits
+ *   for a rate-limit slot; position 0 means it has left the queue
+ * @param {function(object):void} [handlers.onRetry] - Called with
+ *   { provider, attempt, maxAttempts, delayMs, error } before a retry; any
+ *   streamed text so far should be discarded
+ * @param {function(object):void} [handlers.onFallback] - Called with { from, to, error }
+ *   when the background worker moves on to the next provider; any streamed text
+ *   so far should be discarded
+ * @param {AbortSignal} [handlers.signal] - Cancels the request; the background worker
+ *   aborts the provider call when the port closes
+ * @returns {Promise<{prompt: string, variants: string[], rationales: Array<object|null>, provider: string, providerName: string, model: string, cached: boolean, warning?: string}>}
+ *   Cleaned optimized prompt (first variant), all variants with their change rationale
+ *   (structured mode only), the provider that produced them, whether it came from cache,
+ *   and a budget warning when the monthly cap has been reached
+ */
+export function streamOptimization(payload, { variants = 1, fresh = false, onToken, onQueue, onRetry, onFallback, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Optimization cancelled'));
+      return;
+    }
+
+    const port = chrome.runtime.connect({ name: STREAM_PORT_NAME });
+    let settled = false;
+
+    signal?.addEventListener('abort', () => {
+      if (settled) return;
+      settled = true;
+      port.disconnect();
+      reject(new Error('Optimization cancelled'));
+    }, { once: true });
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'TOKEN') {
+        onToken?.(message.text);
+        return;
+      }
+
+      if (message.type === 'QUEUED') {
+        onQueue?.(message);
+        return;
+      }
+
+      if (message.type === 'RETRY') {
+        onRetry?.(message);
+        return;
+      }
+
+      if (message.type === 'FALLBACK') {
+        onFallback?.(message);
+        return;
+      }
+
+      if (settled) return;
+      settled = true;
+      port.disconnect();
+
+      if (message.type === 'DONE') {
+        resolve({
+          prompt: message.prompt,
+          variants: message.variants || [message.prompt],
+          rationales: message.rationales || [null],
+          provider: message.provider,
+          providerName: message.providerName,
+          model: message.model,
+          cached: Boolean(message.cached),
+          warning: message.warning
+        });
+      } else {
+        reject(new Error(message.error || 'Optimization failed'));
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (!settled) {
+        reject(new Error('Lost connection to the background worker'));
+      }
+    });
+
+    port.postMessage({ type: 'OPTIMIZE', payload, variants, fresh });
+  });
+}
@@ -4,16 +4,41 @@
 import {
   savePreferences,
   loadPreferences,
+  getStrategies,
+  saveStrategy,
+  deleteStrategy,
+  getPresets,
+  savePreset,
+  deletePreset,
   exportSettings,
   importSettings,
   getTheme,
   setTheme
 } from './utils/storage.js';
-import { testProvider } from './utils/aiProviders.js';
+import { testProvider, listModels, getProviderInfo, getAllProviders } from './utils/aiProviders.js';
+import { clearResponseCache } from './utils/responseCache.js';
+import { getUsageLedger, clearUsageLedger, summarizeUsage, getPeriodKey } from './utils/usageLedger.js';
+import { formatTokenCount, formatCost } from './utils/tokenCounter.js';
+import { assemblePayload, STRATEGY_PLACEHOLDERS } from './utils/assemblePayload.js';
+import { TARGET_PROFILES, DEFAULT_TARGET } from './utils/targetProfiles.js';
+import { RULES, getRule, resolveRuleParams } from './utils/ruleRegistry.js';
+import { SITE_ADAPTERS, getSiteAdapterById, isSiteEnabled, enableSite, disableSite } from './utils/siteAdapters.js';
 
 let elements = {};
 let snippets = [];
 let currentProvider = 'gemini';
+let customProviders = [];
+let fallbackOrder = [];
+let fallbackEnabled = new Set();
+let usagePeriod = 'day';
+let strategies = [];
+let presets = [];
+let loadedPrefs = {};
+
+// Sample context for the strategy preview
+const PREVIEW_FILES = [{ name: 'search.js', ext: 'js', text: 'export function search(query) {\n  return fetch(`/api?q=${query}`);\n}', truncated: false }];
+
+const PROVIDER_IDS = ['gemini', 'openai', 'anthropic', 'ollama'];
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
@@ -25,37 +50,115 @@ document.addEventListener('DOMContentLoaded', async () => {
 function initElements() {
   elements = {
     // Provider tabs
-    providerTabs: document.querySelectorAll('.provider-tab'),
+    providerTabs: document.getElementById('providerTabs'),
+    addCustomProviderBtn: document.getElementById('addCustomProviderBtn'),
     geminiSettings: document.getElementById('geminiSettings'),
     openaiSettings: document.getElementById('openaiSettings'),
+    anthropicSettings: document.getElementById('anthropicSettings'),
     ollamaSettings: document.getElementById('ollamaSettings'),
+    customSettings: document.getElementById('customSettings'),
+
+    // Custom endpoint
+    customName: document.getElementById('customName'),
+    customBaseUrl: document.getElementById('customBaseUrl'),
+    customAuthHeader: document.getElementById('customAuthHeader'),
+    customApiKey: document.getElementById('customApiKey'),
+    customHeaders: document.getElementById('customHeaders'),
+    customModel: document.getElementById('customModel'),
+    customPriceInput: document.getElementById('customPriceInput'),
+    customPriceOutput: document.getElementById('customPriceOutput'),
+    customModelList: document.getElementById('customModelList'),
+    loadCustomModelsBtn: document.getElementById('loadCustomModelsBtn'),
+    removeCustomProviderBtn: document.getElementById('removeCustomProviderBtn'),
 
     // API keys
     apiKey: document.getElementById('apiKey'),
     openaiKey: document.getElementById('openaiKey'),
+    anthropicKey: document.getElementById('anthropicKey'),
     ollamaUrl: document.getElementById('ollamaUrl'),
 
+    // Models
+    geminiModel: document.getElementById('geminiModel'),
+    openaiModel: document.getElementById('openaiModel'),
+    anthropicModel: document.getElementById('anthropicModel'),
+    ollamaModel: document.getElementById('ollamaModel'),
+    refreshModelBtns: document.querySelectorAll('.refresh-models'),
+
+    // Timeouts
+    geminiTimeout: document.getElementById('geminiTimeout'),
+    openaiTimeout: document.getElementById('openaiTimeout'),
+    anthropicTimeout: document.getElementById('anthropicTimeout'),
+    ollamaTimeout: document.getElementById('ollamaTimeout'),
+
     // Test buttons
     testGeminiBtn: document.getElementById('testGeminiBtn'),
     testOpenaiBtn: document.getElementById('testOpenaiBtn'),
+    testAnthropicBtn: document.getElementById('testAnthropicBtn'),
     testOllamaBtn: document.getElementById('testOllamaBtn'),
+    testCustomBtn: document.getElementById('testCustomBtn'),
 
     // Status displays
     geminiStatus: document.getElementById('geminiStatus'),
     openaiStatus: document.getElementById('openaiStatus'),
+    anthropicStatus: document.getElementById('anthropicStatus'),
     ollamaStatus: document.getElementById('ollamaStatus'),
+    customStatus: document.getElementById('customStatus'),
+
+    // Fallback chain
+    fallbackList: document.getElementById('fallbackList'),
 
     // Theme
     themeBtns: document.querySelectorAll('.theme-btn'),
 
     // Preferences
-    noReadme: document.getElementById('noReadme'),
-    fullCode: document.getElementById('fullCode'),
-    shortSummary: document.getElementById('shortSummary'),
-    preferVanilla: document.getElementById('preferVanilla'),
+    targetModel: document.getElementById('targetModel'),
+    tokenBudget: document.getElementById('tokenBudget'),
+    defaultRules: document.getElementById('defaultRules'),
     autoOptimize: document.getElementById('autoOptimize'),
+    streamOutput: document.getElementById('streamOutput'),
+    structuredOutput: document.getElementById('structuredOutput'),
+    redactSecrets: document.getElementById('redactSecrets'),
+    reviewRedactions: document.getElementById('reviewRedactions'),
+    restoreRedacted: document.getElementById('restoreRedacted'),
+    cacheTtl: document.getElementById('cacheTtl'),
+    cacheSize: document.getElementById('cacheSize'),
+    clearCacheBtn: document.getElementById('clearCacheBtn'),
+
+    // Presets
+    presetList: document.getElementById('presetList'),
+    newPresetBtn: document.getElementById('newPresetBtn'),
+    duplicatePresetBtn: document.getElementById('duplicatePresetBtn'),
+    presetName: document.getElementById('presetName'),
+    presetIcon: document.getElementById('presetIcon'),
+    presetTarget: document.getElementById('presetTarget'),
+    presetRules: document.getElementById('presetRules'),
+    savePresetBtn: document.getElementById('savePresetBtn'),
+    deletePresetBtn: document.getElementById('deletePresetBtn'),
+
+    // Strategies
+    strategyList: document.getElementById('strategyList'),
+    newStrategyBtn: document.getElementById('newStrategyBtn'),
+    duplicateStrategyBtn: document.getElementById('duplicateStrategyBtn'),
+    strategyName: document.getElementById('strategyName'),
+    strategyTemplate: document.getElementById('strategyTemplate'),
+    strategyHint: document.getElementById('strategyHint'),
+    strategyPreviewPrompt: document.getElementById('strategyPreviewPrompt'),
+    strategyPreview: document.getElementById('strategyPreview'),
+    saveStrategyBtn: document.getElementById('saveStrategyBtn'),
+    deleteStrategyBtn: document.getElementById('deleteStrategyBtn'),
+
+    // Usage
+    usageSummary: document.getElementById('usageSummary'),
+    usagePeriods: document.querySelectorAll('.usage-period'),
+    usageTable: document.getElementById('usageTable'),
+    clearUsageBtn: document.getElementById('clearUsageBtn'),
+    budgetLimit: document.getElementById('budgetLimit'),
+    budgetAction: document.getElementById('budgetAction'),
     alwaysInclude: document.getElementById('alwaysInclude'),
 
+    // Chat sites
+    siteList: document.getElementById('siteList'),
+
     // Snippets
     snippetsList: document.getElementById('snippetsList'),
     addSnippet: document.getElementById('addSnippet'),
@@ -75,15 +178,45 @@ function initElements() {
 }
 
 function setupEventListeners() {
-  // Provider tabs
-  elements.providerTabs.forEach(tab => {
-    tab.addEventListener('click', () => switchProvider(tab.dataset.provider));
+  // Provider tabs (custom endpoint tabs are rendered dynamically)
+  elements.providerTabs?.addEventListener('click', (e) => {
+    const tab = e.target.closest('.provider-tab');
+    if (tab?.dataset.provider) {
+      switchProvider(tab.dataset.provider);
+    }
   });
+  elements.addCustomProviderBtn?.addEventListener('click', addCustomProvider);
+  elements.removeCustomProviderBtn?.addEventListener('click', removeCustomProvider);
+  elements.fallbackList?.addEventListener('click', handleFallbackClick);
+  elements.siteList?.addEventListener('change', handleSiteToggle);
+  elements.fallbackList?.addEventListener('change', handleFallbackToggle);
 
   // Test buttons
   elements.testGeminiBtn?.addEventListener('click', () => testApiKey('gemini'));
   elements.testOpenaiBtn?.addEventListener('click', () => testApiKey('openai'));
+  elements.testAnthropicBtn?.addEventListener('click', () => testApiKey('anthropic'));
   elements.testOllamaBtn?.addEventListener('click', () => testApiKey('ollama'));
+  elements.testCustomBtn?.addEventListener('click', () => testApiKey(currentProvider));
+
+  // Model lists
+  elements.refreshModelBtns.forEach(btn => {
+    btn.addEventListener('click', () => refreshModels(btn.dataset.provider));
+  });
+  elements.loadCustomModelsBtn?.addEventListener('click', refreshCustomModels);
+
+  // Custom endpoint form edits the selected entry in place
+  [
+    elements.customName,
+    elements.customBaseUrl,
+    elements.customAuthHeader,
+    elements.customApiKey,
+    elements.customHeaders,
+    elements.customModel,
+    elements.customPriceInput,
+    elements.customPriceOutput
+  ].forEach(input => {
+    input?.addEventListener('input', updateCustomProviderFromForm);
+  });
 
   // Theme
   elements.themeBtns.forEach(btn => {
@@ -93,6 +226,51 @@ function setupEventListeners() {
   // Snippets
   elements.addSnippet?.addEventListener('click', addSnippet);
 
+  // Preview strategies against the chosen target before saving
+  elements.targetModel?.addEventListener('change', () => {
+    loadedPrefs.targetModel = elements.targetModel.value;
+    renderStrategyPreview();
+  });
+  elements.defaultRules?.addEventListener('change', () => {
+    loadedPrefs.rules = readRuleEditor(elements.defaultRules);
+    renderStrategyPreview();
+  });
+
+  // Presets
+  elements.presetList?.addEventListener('change', () => fillPresetForm(elements.presetList.value));
+  elements.newPresetBtn?.addEventListener('click', () => createPreset('New preset', {}));
+  elements.duplicatePresetBtn?.addEventListener('click', () => {
+    const source = presets.find(p => p.id === elements.presetList?.value);
+    if (source) createPreset(`${source.name} (copy)`, readPresetPreferences(), source.icon);
+  });
+  elements.savePresetBtn?.addEventListener('click', handleSavePreset);
+  elements.deletePresetBtn?.addEventListener('click', handleDeletePreset);
+
+  // Strategies
+  elements.strategyList?.addEventListener('change', () => fillStrategyForm(elements.strategyList.value));
+  elements.newStrategyBtn?.addEventListener('click', () => createStrategy('New strategy', '{{rawPrompt}}'));
+  elements.duplicateStrategyBtn?.addEventListener('click', () => {
+    const source = strategies.find(s => s.id === elements.strategyList?.value);
+    if (source) createStrategy(`${source.name} (copy)`, elements.strategyTemplate?.value || source.template);
+  });
+  elements.strategyTemplate?.addEventListener('input', renderStrategyPreview);
+  elements.strategyPreviewPrompt?.addEventListener('input', renderStrategyPreview);
+  elements.saveStrategyBtn?.addEventListener('click', handleSaveStrategy);
+  elements.deleteStrategyBtn?.addEventListener('click', handleDeleteStrategy);
+
+  // Cache
+  elements.clearCacheBtn?.addEventListener('click', handleClearCache);
+
+  // Usage
+  elements.usagePeriods.forEach(btn => {
+    btn.addEventListener('click', () => {
+      usagePeriod = btn.dataset.period;
+      elements.usagePeriods.forEach(b => b.classList.toggle('active', b === btn));
+      renderUsage();
+    });
+  });
+  elements.clearUsageBtn?.addEventListener('click', handleClearUsage);
+
   // Export/Import
   elements.exportBtn?.addEventListener('click', handleExport);
   elements.importBtn?.addEventListener('click', () => elements.importFile?.click());
@@ -110,16 +288,45 @@ function setupEventListeners() {
 
 async function loadSettings() {
   const prefs = await loadPreferences();
+  loadedPrefs = prefs;
+
+  await renderSiteList();
 
   // Provider
+  customProviders = prefs.customProviders || [];
+  renderCustomProviderTabs();
+
   currentProvider = prefs.provider || 'gemini';
+  if (!PROVIDER_IDS.includes(currentProvider) && !getCustomProvider(currentProvider)) {
+    currentProvider = 'gemini';
+  }
+
+  // Fallback chain: enabled providers first, in saved order
+  fallbackEnabled = new Set(prefs.fallbackProviders || []);
+  fallbackOrder = [...(prefs.fallbackProviders || [])];
+
   switchProvider(currentProvider);
 
   // API keys
   if (elements.apiKey) elements.apiKey.value = prefs.apiKey || '';
   if (elements.openaiKey) elements.openaiKey.value = prefs.openaiKey || '';
+  if (elements.anthropicKey) elements.anthropicKey.value = prefs.anthropicKey || '';
   if (elements.ollamaUrl) elements.ollamaUrl.value = prefs.ollamaUrl || 'http://localhost:11434';
 
+  // Models and timeouts (blank timeout = provider default)
+  PROVIDER_IDS.forEach(provider => {
+    const selected = prefs.models?.[provider] || getProviderInfo(provider).model;
+    renderModelOptions(provider, [], selected);
+
+    const input = elements[`${provider}Timeout`];
+    if (input) input.value = prefs.timeouts?.[provider] || '';
+  });
+
+  // Fill the active provider's list in the background; failures just keep the saved model
+  if (PROVIDER_IDS.includes(currentProvider)) {
+    refreshModels(currentProvider, { quiet: true });
+  }
+
   // Theme
   const theme = await getTheme();
   elements.themeBtns.forEach(btn => {
@@ -127,43 +334,333 @@ async function loadSettings() {
   });
 
   // Preferences
-  if (elements.noReadme) elements.noReadme.checked = prefs.noReadme !== false;
-  if (elements.fullCode) elements.fullCode.checked = prefs.fullCode !== false;
-  if (elements.shortSummary) elements.shortSummary.checked = prefs.shortSummary !== false;
-  if (elements.preferVanilla) elements.preferVanilla.checked = prefs.preferVanilla !== false;
+  renderTargetOptions(elements.targetModel);
+  if (elements.targetModel) elements.targetModel.value = prefs.targetModel;
+  if (elements.tokenBudget) elements.tokenBudget.value = prefs.tokenBudget;
+  renderRuleEditor(elements.defaultRules, prefs.rules);
   if (elements.autoOptimize) elements.autoOptimize.checked = prefs.autoOptimize || false;
+  if (elements.streamOutput) elements.streamOutput.checked = prefs.streamOutput !== false;
+  if (elements.structuredOutput) elements.structuredOutput.checked = prefs.structuredOutput || false;
+  if (elements.redactSecrets) elements.redactSecrets.checked = prefs.redactSecrets !== false;
+  if (elements.reviewRedactions) elements.reviewRedactions.checked = prefs.reviewRedactions !== false;
+  if (elements.restoreRedacted) elements.restoreRedacted.checked = prefs.restoreRedacted || false;
+  if (elements.cacheTtl) elements.cacheTtl.value = prefs.cacheTtl;
+  if (elements.cacheSize) elements.cacheSize.value = prefs.cacheSize;
+  if (elements.budgetLimit) elements.budgetLimit.value = prefs.budgetLimit;
+  if (elements.budgetAction) elements.budgetAction.value = prefs.budgetAction;
   if (elements.alwaysInclude) elements.alwaysInclude.value = prefs.alwaysIncludeText || '';
 
   // Snippets
   snippets = prefs.savedSnippets || [];
   renderSnippets();
+
+  renderTargetOptions(elements.presetTarget, 'Keep current target');
+  await loadPresets();
+  await loadStrategies();
+  await renderUsage();
 }
 
 function switchProvider(provider) {
   currentProvider = provider;
 
   // Update tabs
-  elements.providerTabs.forEach(tab => {
+  elements.providerTabs?.querySelectorAll('.provider-tab').forEach(tab => {
     tab.classList.toggle('active', tab.dataset.provider === provider);
   });
 
   // Show/hide settings
   elements.geminiSettings?.classList.toggle('hidden', provider !== 'gemini');
   elements.openaiSettings?.classList.toggle('hidden', provider !== 'openai');
+  elements.anthropicSettings?.classList.toggle('hidden', provider !== 'anthropic');
   elements.ollamaSettings?.classList.toggle('hidden', provider !== 'ollama');
+
+  const custom = getCustomProvider(provider);
+  elements.customSettings?.classList.toggle('hidden', !custom);
+  if (custom) {
+    fillCustomProviderForm(custom);
+  }
+
+  renderFallbackList();
+}
+
+// Fallback chain
+function renderFallbackList() {
+  if (!elements.fallbackList) return;
+
+  const providers = getAllProviders(customProviders);
+  const ids = providers.map(p => p.id);
+
+  // Drop removed providers, append new ones at the end
+  fallbackOrder = [
+    ...fallbackOrder.filter(id => ids.includes(id)),
+    ...ids.filter(id => !fallbackOrder.includes(id))
+  ];
+
+  // The selected provider always runs first, so it isn't listed
+  const visible = fallbackOrder.filter(id => id !== currentProvider);
+
+  elements.fallbackList.innerHTML = visible.map((id, index) => {
+    const provider = providers.find(p => p.id === id);
+    return `
+      <div class="fallback-item">
+        <label>
+          <input type="checkbox" data-provider="${escapeAttr(id)}" ${fallbackEnabled.has(id) ? 'checked' : ''}>
+          <span>${escapeAttr(provider.name || id)}</span>
+        </label>
+        <button class="fallback-move" data-provider="${escapeAttr(id)}" data-dir="-1" ${index === 0 ? 'disabled' : ''} title="Move up">\u2191</button>
+        <button class="fallback-move" data-provider="${escapeAttr(id)}" data-dir="1" ${index === visible.length - 1 ? 'disabled' : ''} title="Move down">\u2193</button>
+      </div>
+    `;
+  }).join('');
+}
+
+function handleFallbackClick(e) {
+  const btn = e.target.closest('.fallback-move');
+  if (!btn) return;
+
+  const visible = fallbackOrder.filter(id => id !== currentProvider);
+  const from = visible.indexOf(btn.dataset.provider);
+  const to = from + parseInt(btn.dataset.dir, 10);
+  if (from < 0 || to < 0 || to >= visible.length) return;
+
+  [visible[from], visible[to]] = [visible[to], visible[from]];
+  fallbackOrder = [...visible, ...fallbackOrder.filter(id => id === currentProvider)];
+  renderFallbackList();
+}
+
+function handleFallbackToggle(e) {
+  const id = e.target.dataset.provider;
+  if (!id) return;
+
+  if (e.target.checked) {
+    fallbackEnabled.add(id);
+  } else {
+    fallbackEnabled.delete(id);
+  }
+}
+
+function readFallbackProviders() {
+  return fallbackOrder.filter(id => id !== currentProvider && fallbackEnabled.has(id));
+}
+
+// Custom OpenAI-compatible endpoints
+function getCustomProvider(id) {
+  return customProviders.find(c => c.id === id) || null;
+}
+
+function renderCustomProviderTabs() {
+  if (!elements.providerTabs) return;
+
+  elements.providerTabs.querySelectorAll('.custom-provider-tab').forEach(tab => tab.remove());
+
+  customProviders.forEach(custom => {
+    const tab = document.createElement('button');
+    tab.className = 'provider-tab custom-provider-tab';
+    tab.dataset.provider = custom.id;
+    tab.classList.toggle('active', custom.id === currentProvider);
+    tab.innerHTML = '<span class="provider-icon">C</span><span></span>';
+    tab.lastElementChild.textContent = custom.name || 'Custom';
+    elements.providerTabs.insertBefore(tab, elements.addCustomProviderBtn);
+  });
+}
+
+function addCustomProvider() {
+  const custom = {
+    id: 'custom_' + Date.now(),
+    name: `Custom ${customProviders.length + 1}`,
+    baseUrl: '',
+    authHeader: 'Authorization',
+    apiKey: '',
+    headers: {},
+    model: '',
+    price: null
+  };
+
+  customProviders.push(custom);
+  renderCustomProviderTabs();
+  switchProvider(custom.id);
+  elements.customName?.focus();
+}
+
+function removeCustomProvider() {
+  customProviders = customProviders.filter(c => c.id !== currentProvider);
+  renderCustomProviderTabs();
+  switchProvider('gemini');
+}
+
+function fillCustomProviderForm(custom) {
+  elements.customName.value = custom.name || '';
+  elements.customBaseUrl.value = custom.baseUrl || '';
+  elements.customAuthHeader.value = custom.authHeader || '';
+  elements.customApiKey.value = custom.apiKey || '';
+  elements.customHeaders.value = formatHeaders(custom.headers);
+  elements.customModel.value = custom.model || '';
+  elements.customPriceInput.value = custom.price?.input ?? '';
+  elements.customPriceOutput.value = custom.price?.output ?? '';
+  elements.customModelList.innerHTML = '';
+  elements.customStatus.textContent = '';
+  elements.customStatus.className = 'api-status';
+}
+
+function updateCustomProviderFromForm() {
+  const custom = getCustomProvider(currentProvider);
+  if (!custom) return;
+
+  custom.name = elements.customName.value.trim();
+  custom.baseUrl = elements.customBaseUrl.value.trim();
+  custom.authHeader = elements.customAuthHeader.value.trim() || 'Authorization';
+  custom.apiKey = elements.customApiKey.value.trim();
+  custom.headers = parseHeaders(elements.customHeaders.value);
+  custom.model = elements.customModel.value.trim();
+  custom.price = parsePrice(elements.customPriceInput.value, elements.customPriceOutput.value);
+
+  const tabLabel = elements.providerTabs?.querySelector(`[data-provider="${custom.id}"] span:last-child`);
+  if (tabLabel) tabLabel.textContent = custom.name || 'Custom';
+
+  renderFallbackList();
+}
+
+/**
+ * Read a custom endpoint's price; null when neither field is set
+ * A blank field costs nothing, so only input or only output can be priced
+ */
+function parsePrice(input, output) {
+  if (input.trim() === '' && output.trim() === '') return null;
+  return {
+    input: Math.max(0, parseFloat(input) || 0),
+    output: Math.max(0, parseFloat(output) || 0)
+  };
+}
+
+async function refreshCustomModels() {
+  const custom = getCustomProvider(currentProvider);
+  const btn = elements.loadCustomModelsBtn;
+  if (!custom || !btn) return;
+
+  btn.disabled = true;
+  btn.textContent = 'Loading...';
+
+  try {
+    await requestHostPermissions([custom]);
+    const models = await listModels(custom.id, { customProviders });
+    elements.customModelList.innerHTML = models.map(m => `
+      <option value="${escapeAttr(m.id)}"></option>
+    `).join('');
+    elements.customStatus.textContent = `Found ${models.length} models`;
+    elements.customStatus.className = 'api-status success';
+  } catch (error) {
+    elements.customStatus.textContent = error.message || 'Could not load models';
+    elements.customStatus.className = 'api-status error';
+  }
+
+  btn.disabled = false;
+  btn.textContent = 'Load';
+}
+
+// Chat sites
+async function renderSiteList() {
+  if (!elements.siteList) return;
+
+  const enabled = await Promise.all(SITE_ADAPTERS.map(site => isSiteEnabled(site)));
+  elements.siteList.innerHTML = SITE_ADAPTERS.map((site, i) => `
+    <div class="checkbox-group">
+      <label>
+        <input type="checkbox" data-site="${escapeAttr(site.id)}" ${enabled[i] ? 'checked' : ''} ${site.builtIn ? 'disabled' : ''}>
+        <span>${escapeAttr(site.name)} <span class="site-hosts">${escapeAttr(site.hosts.join(', '))}${site.builtIn ? ' (always on)' : ''}</span></span>
+      </label>
+    </div>
+  `).join('');
+}
+
+/**
+ * Grant or remove a site's host permission
+ * The permission request has to start before any other await to count as a user gesture
+ */
+async function handleSiteToggle(e) {
+  const site = getSiteAdapterById(e.target.dataset.site);
+  if (!site) return;
+
+  const wanted = e.target.checked;
+  try {
+    const changed = await (wanted ? enableSite(site) : disableSite(site));
+    if (wanted && !changed) {
+      showStatus(`Access to ${site.name} was denied`, 'error');
+    } else {
+      showStatus(`${site.name} ${wanted ? 'enabled' : 'disabled'}`, 'success');
+    }
+  } catch (error) {
+    showStatus(error.message || `Could not update access to ${site.name}`, 'error');
+  }
+
+  await renderSiteList();
+}
+
+/**
+ * Ask for access to each custom endpoint's origin
+ * Must be called from a click handler before any other await
+ */
+async function requestHostPermissions(entries) {
+  const origins = entries
+    .map(c => getOriginPattern(c.baseUrl))
+    .filter(Boolean);
+
+  if (origins.length === 0) return true;
+  return chrome.permissions.request({ origins: [...new Set(origins)] });
+}
+
+function getOriginPattern(baseUrl) {
+  try {
+    const url = new URL(baseUrl);
+    return /^https?:$/.test(url.protocol) ? `${url.origin}/*` : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseHeaders(text) {
+  const headers = {};
+
+  text.split('\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) {
+      const name = line.slice(0, index).trim();
+      const value = line.slice(index + 1).trim();
+      if (name) headers[name] = value;
+    }
+  });
+
+  return headers;
+}
+
+function formatHeaders(headers) {
+  return Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
 }
 
 async function testApiKey(provider) {
+  const custom = getCustomProvider(provider);
+
   const btn = provider === 'gemini' ? elements.testGeminiBtn :
               provider === 'openai' ? elements.testOpenaiBtn :
+              provider === 'anthropic' ? elements.testAnthropicBtn :
+              custom ? elements.testCustomBtn :
               elements.testOllamaBtn;
 
   const statusEl = provider === 'gemini' ? elements.geminiStatus :
                    provider === 'openai' ? elements.openaiStatus :
+                   provider === 'anthropic' ? elements.anthropicStatus :
+                   custom ? elements.customStatus :
                    elements.ollamaStatus;
 
   if (!btn || !statusEl) return;
 
+  if (custom && !(await requestHostPermissions([custom]).catch(() => false))) {
+    statusEl.textContent = 'Enter a valid base URL and allow access to test this endpoint';
+    statusEl.className = 'api-status error';
+    return;
+  }
+
   btn.disabled = true;
   btn.textContent = 'Testing...';
   statusEl.textContent = 'Testing connection...';
@@ -172,7 +669,11 @@ async function testApiKey(provider) {
   const config = {
     apiKey: elements.apiKey?.value?.trim(),
     openaiKey: elements.openaiKey?.value?.trim(),
-    ollamaUrl: elements.ollamaUrl?.value?.trim() || 'http://localhost:11434'
+    anthropicKey: elements.anthropicKey?.value?.trim(),
+    ollamaUrl: elements.ollamaUrl?.value?.trim() || 'http://localhost:11434',
+    timeouts: readTimeouts(),
+    models: readModels(),
+    customProviders
   };
 
   const result = await testProvider(provider, config);
@@ -189,6 +690,82 @@ async function testApiKey(provider) {
   btn.textContent = 'Test';
 }
 
+async function refreshModels(provider, { quiet = false } = {}) {
+  const btn = Array.from(elements.refreshModelBtns).find(b => b.dataset.provider === provider);
+  const statusEl = elements[`${provider}Status`];
+  const select = elements[`${provider}Model`];
+  if (!select) return;
+
+  if (btn) {
+    btn.disabled = true;
+    btn.textContent = 'Loading...';
+  }
+
+  try {
+    const models = await listModels(provider, {
+      apiKey: elements.apiKey?.value?.trim(),
+      openaiKey: elements.openaiKey?.value?.trim(),
+      anthropicKey: elements.anthropicKey?.value?.trim(),
+      ollamaUrl: elements.ollamaUrl?.value?.trim() || 'http://localhost:11434'
+    });
+
+    renderModelOptions(provider, models, select.value);
+
+    if (!quiet && statusEl) {
+      statusEl.textContent = `Found ${models.length} models`;
+      statusEl.className = 'api-status success';
+    }
+  } catch (error) {
+    if (!quiet && statusEl) {
+      statusEl.textContent = error.message || 'Could not load models';
+      statusEl.className = 'api-status error';
+    }
+  }
+
+  if (btn) {
+    btn.disabled = false;
+    btn.textContent = 'Load';
+  }
+}
+
+function renderModelOptions(provider, models, selected) {
+  const select = elements[`${provider}Model`];
+  if (!select) return;
+
+  // Keep the saved model selectable even if the list doesn't include it
+  const options = [...models];
+  if (selected && !options.some(m => m.id === selected)) {
+    options.unshift({ id: selected, name: selected });
+  }
+
+  select.innerHTML = options.map(m => `
+    <option value="${escapeAttr(m.id)}">${escapeAttr(m.name !== m.id ? `${m.name} (${m.id})` : m.id)}</option>
+  `).join('');
+  select.value = selected;
+}
+
+function readModels() {
+  const models = {};
+
+  PROVIDER_IDS.forEach(provider => {
+    const value = elements[`${provider}Model`]?.value;
+    if (value) models[provider] = value;
+  });
+
+  return models;
+}
+
+function readTimeouts() {
+  const timeouts = {};
+
+  PROVIDER_IDS.forEach(provider => {
+    const seconds = parseInt(elements[`${provider}Timeout`]?.value, 10);
+    if (seconds > 0) timeouts[provider] = seconds;
+  });
+
+  return timeouts;
+}
+
 async function handleThemeChange(theme) {
   await setTheme(theme);
   elements.themeBtns.forEach(btn => {
@@ -227,28 +804,410 @@ function renderSnippets() {
 }
 
 async function handleSave() {
+  const invalid = customProviders.find(c => !getOriginPattern(c.baseUrl));
+  if (invalid) {
+    showStatus(`"${invalid.name || 'Custom endpoint'}" needs a valid http(s) base URL`, 'error');
+    switchProvider(invalid.id);
+    return;
+  }
+
+  // Requested first so the click still counts as a user gesture
+  const granted = await requestHostPermissions(customProviders).catch(() => false);
+
   const prefs = {
     provider: currentProvider,
     apiKey: elements.apiKey?.value?.trim() || '',
     openaiKey: elements.openaiKey?.value?.trim() || '',
+    anthropicKey: elements.anthropicKey?.value?.trim() || '',
+    models: readModels(),
     ollamaUrl: elements.ollamaUrl?.value?.trim() || 'http://localhost:11434',
-    noReadme: elements.noReadme?.checked ?? true,
-    fullCode: elements.fullCode?.checked ?? true,
-    shortSummary: elements.shortSummary?.checked ?? true,
-    preferVanilla: elements.preferVanilla?.checked ?? true,
+    timeouts: readTimeouts(),
+    customProviders,
+    fallbackProviders: readFallbackProviders(),
+    targetModel: elements.targetModel?.value || DEFAULT_TARGET,
+    rules: readRuleEditor(elements.defaultRules),
     autoOptimize: elements.autoOptimize?.checked ?? false,
+    streamOutput: elements.streamOutput?.checked ?? true,
+    structuredOutput: elements.structuredOutput?.checked ?? false,
+    redactSecrets: elements.redactSecrets?.checked ?? true,
+    reviewRedactions: elements.reviewRedactions?.checked ?? true,
+    restoreRedacted: elements.restoreRedacted?.checked ?? false,
+    cacheTtl: readNumber(elements.cacheTtl, 60, 0),
+    cacheSize: readNumber(elements.cacheSize, 50, 1),
+    tokenBudget: readNumber(elements.tokenBudget, 0, 0),
+    budgetLimit: Math.max(0, parseFloat(elements.budgetLimit?.value) || 0),
+    budgetAction: elements.budgetAction?.value || 'warn',
     alwaysIncludeText: elements.alwaysInclude?.value?.trim() || '',
     savedSnippets: snippets.filter(s => s.trim())
   };
 
   try {
     await savePreferences(prefs);
-    showStatus('Settings saved successfully!', 'success');
+    if (granted) {
+      showStatus('Settings saved successfully!', 'success');
+    } else {
+      showStatus('Settings saved, but access to a custom endpoint was denied', 'error');
+    }
   } catch (error) {
     showStatus('Failed to save settings: ' + error.message, 'error');
   }
 }
 
+/**
+ * Read a whole number of at least `min` from an input, falling back when empty or invalid
+ */
+function readNumber(input, fallback, min) {
+  const value = parseInt(input?.value, 10);
+  return Number.isNaN(value) ? fallback : Math.max(min, value);
+}
+
+async function handleClearCache() {
+  try {
+    await clearResponseCache();
+    showStatus('Response cache cleared', 'success');
+  } catch (error) {
+    showStatus('Failed to clear cache: ' + error.message, 'error');
+  }
+}
+
+// Target models
+function renderTargetOptions(select, emptyLabel) {
+  if (!select) return;
+
+  const options = Object.entries(TARGET_PROFILES).map(([id, profile]) => `
+    <option value="${id}">${escapeAttr(profile.name)}</option>
+  `);
+  if (emptyLabel) {
+    options.unshift(`<option value="">${escapeAttr(emptyLabel)}</option>`);
+  }
+  select.innerHTML = options.join('');
+}
+
+// Rules
+/**
+ * Render every registered rule as a toggle with inputs for its typed parameters
+ * @param {HTMLElement} container
+ * @param {Object} rules - Enabled rules, { [ruleId]: params }
+ */
+function renderRuleEditor(container, rules = {}) {
+  if (!container) return;
+
+  container.innerHTML = RULES.map(rule => {
+    const values = resolveRuleParams(rule, rules[rule.id]);
+    const params = rule.params.map(param => renderRuleParam(param, values[param.name])).join('');
+
+    return `
+      <div class="rule-item" data-rule="${rule.id}">
+        <label class="rule-toggle">
+          <input type="checkbox" data-rule-toggle ${rules[rule.id] ? 'checked' : ''}>
+          <span>${escapeAttr(rule.label)}</span>
+        </label>
+        ${params ? `<div class="rule-params">${params}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+function renderRuleParam(param, value) {
+  let input;
+
+  if (param.type === 'enum') {
+    input = `<select data-param="${param.name}">${param.options.map(option => `
+      <option value="${option.value}" ${option.value === value ? 'selected' : ''}>${escapeAttr(option.label)}</option>
+    `).join('')}</select>`;
+  } else if (param.type === 'number') {
+    input = `<input type="number" data-param="${param.name}" value="${value}"
+      ${param.min != null ? `min="${param.min}"` : ''} ${param.max != null ? `max="${param.max}"` : ''}>`;
+  } else {
+    input = `<input type="text" data-param="${param.name}" value="${escapeAttr(value)}"
+      placeholder="${escapeAttr(param.placeholder || '')}">`;
+  }
+
+  return `<label class="rule-param"><span>${escapeAttr(param.label)}</span>${input}</label>`;
+}
+
+function readRuleEditor(container) {
+  const rules = {};
+
+  container?.querySelectorAll('.rule-item').forEach(item => {
+    const rule = getRule(item.dataset.rule);
+    if (!rule || !item.querySelector('[data-rule-toggle]')?.checked) return;
+
+    const values = {};
+    item.querySelectorAll('[data-param]').forEach(input => {
+      values[input.dataset.param] = input.value;
+    });
+    rules[rule.id] = resolveRuleParams(rule, values);
+  });
+
+  return rules;
+}
+
+// Presets
+async function loadPresets(selectedId) {
+  const result = await getPresets();
+  presets = result.presets;
+
+  if (elements.presetList) {
+    elements.presetList.innerHTML = presets.map(p => `
+      <option value="${p.id}">${escapeAttr(`${p.icon || ''} ${p.name}`.trim())}${p.isCustom ? '' : ' (built-in)'}</option>
+    `).join('');
+  }
+
+  fillPresetForm(selectedId || result.activePreset);
+}
+
+function fillPresetForm(id) {
+  const preset = presets.find(p => p.id === id) || presets[0];
+  if (!preset) return;
+
+  const readOnly = !preset.isCustom;
+  const prefs = preset.preferences || {};
+
+  if (elements.presetList) elements.presetList.value = preset.id;
+  if (elements.presetName) elements.presetName.value = preset.name;
+  if (elements.presetIcon) elements.presetIcon.value = preset.icon || '';
+  if (elements.presetTarget) elements.presetTarget.value = prefs.targetModel || '';
+  renderRuleEditor(elements.presetRules, prefs.rules);
+
+  [
+    elements.presetName, elements.presetIcon, elements.presetTarget,
+    elements.savePresetBtn, elements.deletePresetBtn,
+    ...(elements.presetRules?.querySelectorAll('input, select') || [])
+  ].forEach(el => {
+    if (el) el.disabled = readOnly;
+  });
+}
+
+function readPresetPreferences() {
+  const preferences = {
+    rules: readRuleEditor(elements.presetRules)
+  };
+
+  // Left out so picking the preset keeps whatever target is selected
+  if (elements.presetTarget?.value) {
+    preferences.targetModel = elements.presetTarget.value;
+  }
+  return preferences;
+}
+
+async function createPreset(name, preferences, icon) {
+  const saved = await savePreset({ name, icon, preferences });
+  await loadPresets(saved.id);
+  elements.presetName?.focus();
+}
+
+async function handleSavePreset() {
+  const id = elements.presetList?.value;
+  const preset = presets.find(p => p.id === id);
+  if (!preset?.isCustom) return;
+
+  const name = elements.presetName?.value?.trim();
+  if (!name) {
+    showStatus('Give the preset a name', 'error');
+    return;
+  }
+
+  await savePreset({
+    id,
+    name,
+    icon: elements.presetIcon?.value?.trim(),
+    preferences: readPresetPreferences()
+  });
+  await loadPresets(id);
+  showStatus('Preset saved', 'success');
+}
+
+async function handleDeletePreset() {
+  const id = elements.presetList?.value;
+  const preset = presets.find(p => p.id === id);
+  if (!preset?.isCustom) return;
+
+  await deletePreset(id);
+  await loadPresets();
+  showStatus('Preset deleted', 'success');
+}
+
+// Strategies
+async function loadStrategies(selectedId) {
+  const result = await getStrategies();
+  strategies = result.strategies;
+
+  if (elements.strategyList) {
+    elements.strategyList.innerHTML = strategies.map(s => `
+      <option value="${s.id}">${escapeAttr(s.name)}${s.builtIn ? ' (built-in)' : ''}</option>
+    `).join('');
+  }
+
+  fillStrategyForm(selectedId || result.activeStrategy);
+}
+
+function fillStrategyForm(id) {
+  const strategy = strategies.find(s => s.id === id) || strategies[0];
+  if (!strategy) return;
+
+  if (elements.strategyList) elements.strategyList.value = strategy.id;
+  if (elements.strategyName) {
+    elements.strategyName.value = strategy.name;
+    elements.strategyName.readOnly = Boolean(strategy.builtIn);
+  }
+  if (elements.strategyTemplate) {
+    elements.strategyTemplate.value = strategy.template;
+    elements.strategyTemplate.readOnly = Boolean(strategy.builtIn);
+  }
+  if (elements.saveStrategyBtn) elements.saveStrategyBtn.disabled = Boolean(strategy.builtIn);
+  if (elements.deleteStrategyBtn) elements.deleteStrategyBtn.disabled = Boolean(strategy.builtIn);
+
+  renderStrategyPreview();
+}
+
+async function createStrategy(name, template) {
+  const saved = await saveStrategy({ name, template });
+  await loadStrategies(saved.id);
+  elements.strategyName?.focus();
+}
+
+/**
+ * Fill the template being edited with the saved preferences and sample context,
+ * and point out placeholders that are missing or unknown
+ */
+function renderStrategyPreview() {
+  const template = elements.strategyTemplate?.value || '';
+  const strategy = strategies.find(s => s.id === elements.strategyList?.value);
+
+  const used = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(m => m[1]);
+  const unknown = [...new Set(used.filter(name => !STRATEGY_PLACEHOLDERS.includes(name)))];
+  const notes = [];
+
+  if (strategy?.builtIn) {
+    notes.push('The built-in strategy is read-only; duplicate it to customize.');
+  }
+  if (!used.includes('rawPrompt')) {
+    notes.push('Missing {{rawPrompt}}: the user\'s prompt will not be sent.');
+  }
+  if (unknown.length) {
+    notes.push(`Unknown placeholders are sent as written: ${unknown.map(n => `{{${n}}}`).join(', ')}`);
+  }
+  if (elements.strategyHint) {
+    elements.strategyHint.textContent = notes.join(' ');
+  }
+
+  if (elements.strategyPreview) {
+    const rawPrompt = elements.strategyPreviewPrompt?.value || '';
+    elements.strategyPreview.textContent = assemblePayload(rawPrompt, loadedPrefs, ['README.md'], PREVIEW_FILES, template);
+  }
+}
+
+async function handleSaveStrategy() {
+  const id = elements.strategyList?.value;
+  const strategy = strategies.find(s => s.id === id);
+  if (!strategy || strategy.builtIn) return;
+
+  const name = elements.strategyName?.value?.trim();
+  const template = elements.strategyTemplate?.value || '';
+
+  if (!name) {
+    showStatus('Give the strategy a name', 'error');
+    return;
+  }
+  if (!/\{\{\s*rawPrompt\s*\}\}/.test(template)) {
+    showStatus('The meta-prompt needs a {{rawPrompt}} placeholder', 'error');
+    return;
+  }
+
+  try {
+    await saveStrategy({ id, name, template });
+    await loadStrategies(id);
+    showStatus('Strategy saved', 'success');
+  } catch (error) {
+    showStatus('Failed to save strategy: ' + error.message, 'error');
+  }
+}
+
+async function handleDeleteStrategy() {
+  const id = elements.strategyList?.value;
+  const strategy = strategies.find(s => s.id === id);
+  if (!strategy || strategy.builtIn) return;
+
+  await deleteStrategy(id);
+  await loadStrategies();
+  showStatus('Strategy deleted', 'success');
+}
+
+/**
+ * Render the usage dashboard: month/today totals against the budget, then
+ * per-provider totals for each day or month
+ */
+async function renderUsage() {
+  const ledger = await getUsageLedger();
+  const budget = parseFloat(elements.budgetLimit?.value) || 0;
+
+  const sumFor = (period, key) => ledger
+    .filter(e => getPeriodKey(e.timestamp, period) === key)
+    .reduce((sum, e) => sum + (e.cost || 0), 0);
+  const monthSpend = sumFor('month', getPeriodKey(new Date(), 'month'));
+  const todaySpend = sumFor('day', getPeriodKey(new Date(), 'day'));
+
+  if (elements.usageSummary) {
+    const budgetText = budget > 0 ? ` of ${formatCost(budget)}` : '';
+    const overClass = budget > 0 && monthSpend >= budget ? ' class="over-budget"' : '';
+    elements.usageSummary.innerHTML = `
+      This month: <strong${overClass}>${formatCost(monthSpend)}${budgetText}</strong>
+      · Today: <strong>${formatCost(todaySpend)}</strong>
+      · ${ledger.length} call${ledger.length === 1 ? '' : 's'} recorded
+    `;
+  }
+
+  if (!elements.usageTable) return;
+
+  // A month of days, or every month on record
+  const rows = summarizeUsage(ledger, usagePeriod);
+  const periods = [...new Set(rows.map(r => r.period))].slice(0, usagePeriod === 'day' ? 31 : undefined);
+  const visible = rows.filter(r => periods.includes(r.period));
+
+  if (!visible.length) {
+    elements.usageTable.innerHTML = '<p class="hint">No usage recorded yet.</p>';
+    return;
+  }
+
+  elements.usageTable.innerHTML = `
+    <table>
+      <thead>
+        <tr>
+          <th>${usagePeriod === 'day' ? 'Date' : 'Month'}</th>
+          <th>Provider</th>
+          <th>Calls</th>
+          <th>Input</th>
+          <th>Output</th>
+          <th>Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${visible.map(row => `
+          <tr>
+            <td>${row.period}</td>
+            <td>${escapeAttr(row.providerName)}</td>
+            <td>${row.calls}</td>
+            <td>${formatTokenCount(row.inputTokens)}</td>
+            <td>${formatTokenCount(row.outputTokens)}</td>
+            <td>${formatCost(row.cost)}${row.estimated ? '*' : ''}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+async function handleClearUsage() {
+  try {
+    await clearUsageLedger();
+    await renderUsage();
+    showStatus('Usage cleared', 'success');
+  } catch (error) {
+    showStatus('Failed to clear usage: ' + error.message, 'error');
+  }
+}
+
 async function handleExport() {
   try {
     const data = await exportSettings();
@@ -286,6 +1245,14 @@ async function handleImport(e) {
   e.target.value = '';
 }
 
+function escapeAttr(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
 function showStatus(message, type) {
   if (!elements.status) return;
 
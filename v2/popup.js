@@ -5,29 +5,46 @@ import {
   saveToHistory,
   getHistory,
   clearHistory,
+  updateHistoryItem,
   deleteHistoryItem,
   getTemplates,
   saveTemplate,
   deleteTemplate,
   getPresets,
   setActivePreset,
+  getStrategies,
+  setActiveStrategy,
+  setTargetModel,
   getTheme,
   setTheme
 } from './utils/storage.js';
-import { assemblePayload } from './utils/assemblePayload.js';
-import { generateWithProvider } from './utils/aiProviders.js';
-import { estimateTokens, formatTokenCount, calculateSavings } from './utils/tokenCounter.js';
+import { assembleWithinBudget } from './utils/assemblePayload.js';
+import { TARGET_PROFILES, getTargetProfile } from './utils/targetProfiles.js';
+import { TRUNCATION_STRATEGIES } from './utils/fileExcerpts.js';
+import { redactSecrets, restoreSecrets, maskPreview } from './utils/redaction.js';
+import { streamOptimization } from './utils/optimizeStream.js';
+import { estimateTokens, formatTokenCount, calculateSavings, getTokenBudget } from './utils/tokenCounter.js';
+import { lintPrompt, getScoreGrade } from './utils/promptLinter.js';
+import { parseTemplateVariables, renderTemplate, renderVariableFields, readVariableFields } from './utils/templateVariables.js';
 import { createDiff } from './utils/diffView.js';
+import { getSiteAdapter, isSiteEnabled, sendToContentScript } from './utils/siteAdapters.js';
 
 // State
 let elements = {};
 let attachedFiles = [];
-let isOnClaudeTab = false;
+let currentSite = null;
 let currentTabId = null;
 let lastOriginalPrompt = '';
 let lastOptimizedPrompt = '';
 let autoOptimizeTimeout = null;
 let activePresetId = 'quick';
+let strategies = [];
+let optimizeController = null;
+let currentVariants = [];
+let currentRationales = [];
+let currentHistoryId = null;
+let lintIssues = [];
+let pendingTemplate = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
@@ -35,6 +52,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   await initializeTheme();
   setupEventListeners();
   await loadPresetsUI();
+  await loadStrategiesUI();
+  await loadTargetsUI();
   await checkClaudeTab();
   setupKeyboardShortcuts();
 });
@@ -56,27 +75,48 @@ function initializeElements() {
 
     // Presets
     presetsList: document.getElementById('presetsList'),
+    strategySelect: document.getElementById('strategySelect'),
+    targetSelect: document.getElementById('targetSelect'),
 
     // Token counter
     tokenCounter: document.getElementById('tokenCounter'),
     tokenCount: document.getElementById('tokenCount'),
     tokenSavings: document.getElementById('tokenSavings'),
+    lintScore: document.getElementById('lintScore'),
+    lintHints: document.getElementById('lintHints'),
 
     // Input
     rawPrompt: document.getElementById('rawPrompt'),
     scrapeClaude: document.getElementById('scrapeClaude'),
     autoOptimize: document.getElementById('autoOptimize'),
+    variantCount: document.getElementById('variantCount'),
+    forceFresh: document.getElementById('forceFresh'),
     fileInput: document.getElementById('fileInput'),
     fileList: document.getElementById('fileList'),
 
     // Actions
     optimizeBtn: document.getElementById('optimizeBtn'),
+    cancelBtn: document.getElementById('cancelBtn'),
     status: document.getElementById('status'),
 
     // Output
     outputGroup: document.getElementById('outputGroup'),
     optimizedPrompt: document.getElementById('optimizedPrompt'),
+    variantTabs: document.getElementById('variantTabs'),
+    rationalePanel: document.getElementById('rationalePanel'),
+    rationaleContent: document.getElementById('rationaleContent'),
+    redactionModal: document.getElementById('redactionModal'),
+    redactionList: document.getElementById('redactionList'),
+    restoreRedacted: document.getElementById('restoreRedacted'),
+    sendRedactedBtn: document.getElementById('sendRedactedBtn'),
+    cancelRedactionBtn: document.getElementById('cancelRedactionBtn'),
+    closeRedactionBtn: document.getElementById('closeRedactionBtn'),
+    trimReport: document.getElementById('trimReport'),
+    trimSummary: document.getElementById('trimSummary'),
+    trimContent: document.getElementById('trimContent'),
     outputTokens: document.getElementById('outputTokens'),
+    outputProvider: document.getElementById('outputProvider'),
+    outputCached: document.getElementById('outputCached'),
     savingsPercent: document.getElementById('savingsPercent'),
     copyBtn: document.getElementById('copyBtn'),
     pasteToClaudeBtn: document.getElementById('pasteToClaudeBtn'),
@@ -103,7 +143,14 @@ function initializeElements() {
     templatePrompt: document.getElementById('templatePrompt'),
     closeTemplateBtn: document.getElementById('closeTemplateBtn'),
     cancelTemplateBtn: document.getElementById('cancelTemplateBtn'),
-    saveTemplateBtn: document.getElementById('saveTemplateBtn')
+    saveTemplateBtn: document.getElementById('saveTemplateBtn'),
+
+    templateFormModal: document.getElementById('templateFormModal'),
+    templateFormTitle: document.getElementById('templateFormTitle'),
+    templateFormFields: document.getElementById('templateFormFields'),
+    closeTemplateFormBtn: document.getElementById('closeTemplateFormBtn'),
+    cancelTemplateFormBtn: document.getElementById('cancelTemplateFormBtn'),
+    useTemplateBtn: document.getElementById('useTemplateBtn')
   };
 }
 
@@ -121,14 +168,23 @@ function setupEventListeners() {
 
   // Presets
   elements.presetsList?.addEventListener('click', handlePresetClick);
+  elements.strategySelect?.addEventListener('change', () => setActiveStrategy(elements.strategySelect.value));
+  elements.targetSelect?.addEventListener('change', () => setTargetModel(elements.targetSelect.value));
 
   // Input
   elements.rawPrompt?.addEventListener('input', handlePromptInput);
+  elements.scrapeClaude?.addEventListener('change', updatePromptLint);
+  elements.lintScore?.addEventListener('click', () => {
+    if (lintIssues.length) elements.lintHints?.classList.toggle('hidden');
+  });
+  elements.lintHints?.addEventListener('click', handleLintHintClick);
   elements.autoOptimize?.addEventListener('change', handleAutoOptimizeChange);
   elements.fileInput?.addEventListener('change', handleFileSelect);
 
   // Actions
   elements.optimizeBtn?.addEventListener('click', handleOptimize);
+  elements.cancelBtn?.addEventListener('click', handleCancel);
+  elements.variantTabs?.addEventListener('click', handleVariantClick);
   elements.copyBtn?.addEventListener('click', handleCopy);
   elements.pasteToClaudeBtn?.addEventListener('click', handlePasteToClaude);
 
@@ -137,6 +193,9 @@ function setupEventListeners() {
   elements.closeTemplateBtn?.addEventListener('click', closeTemplateModal);
   elements.cancelTemplateBtn?.addEventListener('click', closeTemplateModal);
   elements.saveTemplateBtn?.addEventListener('click', handleSaveTemplate);
+  elements.closeTemplateFormBtn?.addEventListener('click', closeTemplateForm);
+  elements.cancelTemplateFormBtn?.addEventListener('click', closeTemplateForm);
+  elements.useTemplateBtn?.addEventListener('click', handleUseTemplate);
 
   // History
   elements.closeHistoryBtn?.addEventListener('click', closeHistory);
@@ -218,6 +277,31 @@ async function loadPresetsUI() {
   }
 }
 
+// Strategies
+async function loadStrategiesUI() {
+  const result = await getStrategies();
+  strategies = result.strategies;
+
+  if (elements.strategySelect) {
+    elements.strategySelect.innerHTML = strategies.map(strategy => `
+      <option value="${strategy.id}">${escapeHtml(strategy.name)}${strategy.builtIn ? ' (built-in)' : ''}</option>
+    `).join('');
+    elements.strategySelect.value = result.activeStrategy;
+  }
+}
+
+// Target models
+async function loadTargetsUI() {
+  const prefs = await loadPreferences();
+
+  if (elements.targetSelect) {
+    elements.targetSelect.innerHTML = Object.entries(TARGET_PROFILES).map(([id, profile]) => `
+      <option value="${id}">${escapeHtml(profile.name)}</option>
+    `).join('');
+    elements.targetSelect.value = prefs.targetModel;
+  }
+}
+
 async function handlePresetClick(e) {
   const btn = e.target.closest('.preset-btn');
   if (!btn) return;
@@ -229,6 +313,14 @@ async function handlePresetClick(e) {
   elements.presetsList.querySelectorAll('.preset-btn').forEach(b => {
     b.classList.toggle('active', b.dataset.preset === presetId);
   });
+
+  // Presets may pin a target model
+  const { presets } = await getPresets();
+  const targetModel = presets.find(p => p.id === presetId)?.preferences?.targetModel;
+  if (targetModel && TARGET_PROFILES[targetModel] && elements.targetSelect) {
+    elements.targetSelect.value = targetModel;
+    await setTargetModel(targetModel);
+  }
 }
 
 // Token counter
@@ -239,58 +331,89 @@ function updateTokenCount() {
   if (elements.tokenCount) {
     elements.tokenCount.textContent = formatTokenCount(tokens);
   }
+  updatePromptLint();
+}
+
+// Prompt linter
+function updatePromptLint() {
+  if (!elements.lintScore || !elements.lintHints) return;
+
+  const { score, issues } = lintPrompt(elements.rawPrompt?.value || '', {
+    hasAttachments: attachedFiles.length > 0 || Boolean(elements.scrapeClaude?.checked)
+  });
+  lintIssues = issues;
+
+  if (score === null) {
+    elements.lintScore.classList.add('hidden');
+    elements.lintHints.classList.add('hidden');
+    return;
+  }
+
+  elements.lintScore.textContent = `Score ${score}`;
+  elements.lintScore.className = `lint-score ${getScoreGrade(score)}`;
+  elements.lintHints.innerHTML = issues.map((issue, i) => `
+    <li><button class="lint-hint ${issue.severity}" data-index="${i}">${escapeHtml(issue.message)}</button></li>
+  `).join('');
+  if (!issues.length) {
+    elements.lintHints.classList.add('hidden');
+  }
+}
+
+function handleLintHintClick(e) {
+  const btn = e.target.closest('.lint-hint');
+  const issue = btn && lintIssues[parseInt(btn.dataset.index)];
+  const textarea = elements.rawPrompt;
+  if (!issue || !textarea) return;
+
+  textarea.focus();
+  if (issue.select) {
+    textarea.setSelectionRange(...issue.select);
+  } else if (issue.append) {
+    const base = textarea.value.trimEnd();
+    const caret = base.length + (issue.caret ?? issue.append.length);
+    textarea.value = base + issue.append;
+    textarea.setSelectionRange(caret, caret);
+    handlePromptInput();
+  }
 }
 
-// Claude tab detection
+// Chat site detection (Claude, or any other site from siteAdapters.js the user enabled)
 async function checkClaudeTab() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const site = getSiteAdapter(tab?.url);
 
-    if (tab?.url?.includes('claude.ai')) {
-      isOnClaudeTab = true;
+    if (site && await isSiteEnabled(site)) {
+      currentSite = site;
       currentTabId = tab.id;
 
+      const badge = elements.claudeDetected?.querySelector('.claude-badge');
+      if (badge) badge.textContent = `On ${site.name}`;
       elements.claudeDetected?.classList.remove('hidden');
       if (elements.scrapeClaude) elements.scrapeClaude.checked = true;
+      if (elements.pasteToClaudeBtn?.lastChild) {
+        elements.pasteToClaudeBtn.lastChild.textContent = ` Paste to ${site.name}`;
+      }
 
       await captureClaudeInput(tab.id);
     }
   } catch (error) {
-    console.error('Error checking Claude tab:', error);
+    console.error('Error checking chat tab:', error);
   }
 }
 
 async function captureClaudeInput(tabId) {
   try {
-    const results = await chrome.scripting.executeScript({
-      target: { tabId },
-      func: () => {
-        const selectors = [
-          '[data-placeholder="How can Claude help you today?"]',
-          'div[contenteditable="true"]',
-          '.ProseMirror',
-          '[role="textbox"]'
-        ];
-
-        for (const selector of selectors) {
-          const el = document.querySelector(selector);
-          if (el) {
-            const text = el.textContent || el.innerText || '';
-            if (text.trim()) return text.trim();
-          }
-        }
-        return '';
-      }
-    });
-
-    const captured = results[0]?.result || '';
+    // The content script reads the composer with the site's read strategy
+    const response = await sendToContentScript(tabId, { type: 'GET_PROMPT' });
+    const captured = response?.prompt?.trim() || '';
     if (captured && elements.rawPrompt) {
       elements.rawPrompt.value = captured;
-      elements.rawPrompt.placeholder = 'Captured from Claude';
+      elements.rawPrompt.placeholder = `Captured from ${currentSite.name}`;
       updateTokenCount();
     }
   } catch (error) {
-    console.error('Error capturing Claude input:', error);
+    console.error('Error capturing chat input:', error);
   }
 }
 
@@ -306,9 +429,11 @@ function handleFileSelect(event) {
       attachedFiles.push({
         name: file.name,
         content: e.target.result,
-        ext
+        ext,
+        strategy: 'head'
       });
       updateFileList();
+      updatePromptLint();
     };
     reader.readAsText(file);
   });
@@ -319,15 +444,27 @@ function updateFileList() {
 
   elements.fileList.innerHTML = attachedFiles.map((file, i) => `
     <div class="file-item">
-      <span>${file.name}</span>
+      <span class="file-name">${escapeHtml(file.name)}</span>
+      <select class="file-strategy" data-index="${i}" title="How to shorten this file when it is too long">
+        ${TRUNCATION_STRATEGIES.map(s => `
+          <option value="${s.id}" ${s.id === file.strategy ? 'selected' : ''}>${s.name}</option>
+        `).join('')}
+      </select>
       <button class="remove-file" data-index="${i}">\u00d7</button>
     </div>
   `).join('');
 
+  elements.fileList.querySelectorAll('.file-strategy').forEach(select => {
+    select.addEventListener('change', () => {
+      attachedFiles[parseInt(select.dataset.index)].strategy = select.value;
+    });
+  });
+
   elements.fileList.querySelectorAll('.remove-file').forEach(btn => {
     btn.addEventListener('click', () => {
       attachedFiles.splice(parseInt(btn.dataset.index), 1);
       updateFileList();
+      updatePromptLint();
     });
   });
 }
@@ -359,8 +496,13 @@ async function handleOptimize() {
     return;
   }
 
+  // One request at a time; auto-optimize and Ctrl+Enter can fire mid-request
+  if (optimizeController) return;
+
+  optimizeController = new AbortController();
   setLoading(true);
   lastOriginalPrompt = rawPrompt;
+  const previousOutput = elements.optimizedPrompt?.value || '';
 
   try {
     const prefs = await loadPreferences();
@@ -374,11 +516,15 @@ async function handleOptimize() {
     // Get active preset preferences
     const { presets } = await getPresets();
     const activePreset = presets.find(p => p.id === activePresetId);
-    const mergedPrefs = { ...prefs, ...(activePreset?.preferences || {}) };
+    const mergedPrefs = {
+      ...prefs,
+      ...(activePreset?.preferences || {}),
+      targetModel: elements.targetSelect?.value || prefs.targetModel
+    };
 
     // Scrape Claude context if enabled
     let scrapedFilenames = [];
-    if (elements.scrapeClaude?.checked && isOnClaudeTab) {
+    if (elements.scrapeClaude?.checked && currentSite) {
       scrapedFilenames = await scrapeClaudeFiles();
     }
 
@@ -387,72 +533,307 @@ async function handleOptimize() {
       name: f.name,
       ext: f.ext,
       text: f.content,
+      strategy: f.strategy,
       truncated: f.content.split('\n').length > 50
     }));
 
-    // Assemble payload
-    const payload = assemblePayload(rawPrompt, mergedPrefs, scrapedFilenames, embeddedFiles);
+    // Assemble payload, trimmed to the provider's and target's token budget
+    const strategy = strategies.find(s => s.id === elements.strategySelect?.value);
+    const assembled = assembleWithinBudget(
+      rawPrompt, mergedPrefs, scrapedFilenames, embeddedFiles, strategy?.template, getTokenBudget(mergedPrefs)
+    );
+
+    // Mask secrets and personal data, letting the user review the list first
+    let payload = assembled.payload;
+    let masked = [];
+    let restore = false;
+    if (prefs.redactSecrets) {
+      const redaction = redactSecrets(payload);
+      masked = redaction.findings;
+      restore = prefs.restoreRedacted;
+
+      if (masked.length && prefs.reviewRedactions) {
+        const review = await reviewRedactions(masked, restore);
+        if (!review) {
+          showStatus('Optimization cancelled', 'info');
+          return;
+        }
+        masked = review.masked;
+        restore = review.restore;
+      }
+
+      payload = restoreSecrets(redaction.text, redaction.findings.filter(f => !masked.includes(f)));
+    }
+
+    // Generate optimized prompt, streaming tokens into the output as they arrive
+    if (elements.optimizedPrompt) {
+      elements.optimizedPrompt.value = '';
+    }
+    renderVariantTabs([]);
+    renderRationale(null);
+    renderTrimReport(assembled);
+    elements.outputCached?.classList.add('hidden');
+    elements.outputGroup?.classList.remove('hidden');
 
-    // Generate optimized prompt
-    const optimized = await generateWithProvider(payload, {
-      provider: prefs.provider || 'gemini',
-      apiKey: prefs.apiKey,
-      openaiKey: prefs.openaiKey,
-      ollamaUrl: prefs.ollamaUrl
+    const result = await streamOptimization(payload, {
+      variants: Number(elements.variantCount?.value) || 1,
+      fresh: elements.forceFresh?.checked || false,
+      onToken: appendStreamedText,
+      onQueue: handleQueue,
+      onRetry: handleRetry,
+      onFallback: handleFallback,
+      signal: optimizeController.signal
     });
 
+    if (restore && masked.length) {
+      result.prompt = restoreSecrets(result.prompt, masked);
+      result.variants = result.variants.map(v => restoreSecrets(v, masked));
+    }
+    const optimized = result.prompt;
+
     lastOptimizedPrompt = optimized;
 
-    // Save to history
-    await saveToHistory(rawPrompt, optimized);
+    // Save to history; picking another variant later updates this entry
+    const entry = await saveToHistory(rawPrompt, optimized, {
+      provider: result.provider,
+      providerName: result.providerName,
+      model: result.model,
+      target: mergedPrefs.targetModel,
+      rationale: result.rationales[0]
+    });
+    currentHistoryId = entry.id;
 
     // Update UI
     if (elements.optimizedPrompt) {
       elements.optimizedPrompt.value = optimized;
     }
     elements.outputGroup?.classList.remove('hidden');
-
-    // Update token stats
-    const originalTokens = estimateTokens(rawPrompt);
-    const optimizedTokens = estimateTokens(optimized);
-    const savings = calculateSavings(originalTokens, optimizedTokens);
-
-    if (elements.outputTokens) {
-      elements.outputTokens.textContent = `${formatTokenCount(optimizedTokens)} tokens`;
-    }
-    if (elements.savingsPercent) {
-      if (savings.isReduction) {
-        elements.savingsPercent.textContent = `-${savings.percentage}%`;
-        elements.savingsPercent.style.display = 'inline';
-      } else {
-        elements.savingsPercent.style.display = 'none';
-      }
+    currentRationales = result.rationales;
+    renderVariantTabs(result.variants);
+    renderRationale(result.rationales[0]);
+    updateOutputStats(optimized);
+
+    if (elements.outputProvider) {
+      elements.outputProvider.textContent = result.providerName;
+      elements.outputProvider.title = result.model || '';
     }
+    elements.outputCached?.classList.toggle('hidden', !result.cached);
 
-    showStatus('Optimized successfully!', 'success');
+    if (result.warning) {
+      showStatus(result.warning, 'warning');
+    } else {
+      const maskedNote = masked.length ? ` ${masked.length} value${masked.length === 1 ? '' : 's'} masked.` : '';
+      showStatus((result.cached ? 'Loaded from cache.' : `Optimized with ${result.providerName}!`) + maskedNote, 'success');
+    }
 
   } catch (error) {
     console.error('Optimization error:', error);
+    if (elements.optimizedPrompt) {
+      elements.optimizedPrompt.value = previousOutput;
+    }
+    elements.outputGroup?.classList.toggle('hidden', !previousOutput);
     showStatus(error.message || 'Optimization failed', 'error');
   } finally {
+    optimizeController = null;
     setLoading(false);
   }
 }
 
+function handleCancel() {
+  optimizeController?.abort();
+}
+
+function appendStreamedText(chunk) {
+  if (!elements.optimizedPrompt) return;
+
+  elements.optimizedPrompt.value += chunk;
+  elements.optimizedPrompt.scrollTop = elements.optimizedPrompt.scrollHeight;
+}
+
+function updateOutputStats(optimized) {
+  const originalTokens = estimateTokens(lastOriginalPrompt);
+  const optimizedTokens = estimateTokens(optimized);
+  const savings = calculateSavings(originalTokens, optimizedTokens);
+
+  if (elements.outputTokens) {
+    elements.outputTokens.textContent = `${formatTokenCount(optimizedTokens)} tokens`;
+  }
+  if (elements.savingsPercent) {
+    if (savings.isReduction) {
+      elements.savingsPercent.textContent = `-${savings.percentage}%`;
+      elements.savingsPercent.style.display = 'inline';
+    } else {
+      elements.savingsPercent.style.display = 'none';
+    }
+  }
+}
+
+// Variants
+function renderVariantTabs(variants) {
+  currentVariants = variants;
+  if (!elements.variantTabs) return;
+
+  elements.variantTabs.classList.toggle('hidden', variants.length < 2);
+  elements.variantTabs.innerHTML = variants.length < 2 ? '' : variants.map((text, index) => `
+    <button class="variant-tab${index === 0 ? ' active' : ''}" data-index="${index}">
+      Variant ${index + 1}<span class="stat">${formatTokenCount(estimateTokens(text))}</span>
+    </button>
+  `).join('');
+}
+
+async function handleVariantClick(e) {
+  const tab = e.target.closest('.variant-tab');
+  if (!tab) return;
+
+  const index = Number(tab.dataset.index);
+  const optimized = currentVariants[index];
+  if (optimized === undefined) return;
+  const rationale = currentRationales[index] || null;
+
+  elements.variantTabs.querySelectorAll('.variant-tab').forEach(t => {
+    t.classList.toggle('active', t === tab);
+  });
+
+  lastOptimizedPrompt = optimized;
+  if (elements.optimizedPrompt) {
+    elements.optimizedPrompt.value = optimized;
+  }
+  updateOutputStats(optimized);
+  renderRationale(rationale);
+
+  if (currentHistoryId) {
+    await updateHistoryItem(currentHistoryId, { optimized, rationale });
+  }
+}
+
+/**
+ * List masked values and wait for the user to send or cancel
+ * @param {Object[]} findings - Findings from redactSecrets
+ * @param {boolean} restore - Initial state of the restore checkbox
+ * @returns {Promise<{masked: Object[], restore: boolean}|null>} null when cancelled
+ */
+function reviewRedactions(findings, restore) {
+  elements.redactionList.innerHTML = findings.map((finding, i) => `
+    <label class="redaction-item">
+      <input type="checkbox" data-index="${i}" checked>
+      <span class="redaction-label">${escapeHtml(finding.label)} → ${escapeHtml(finding.placeholder)}${finding.count > 1 ? ` (${finding.count}×)` : ''}</span>
+      <code>${escapeHtml(maskPreview(finding))}</code>
+    </label>
+  `).join('');
+  elements.restoreRedacted.checked = restore;
+  elements.redactionModal.classList.remove('hidden');
+
+  return new Promise(resolve => {
+    const finish = (send) => {
+      elements.redactionModal.classList.add('hidden');
+      elements.sendRedactedBtn.removeEventListener('click', onSend);
+      elements.cancelRedactionBtn.removeEventListener('click', onCancel);
+      elements.closeRedactionBtn.removeEventListener('click', onCancel);
+
+      if (!send) {
+        resolve(null);
+        return;
+      }
+      const checked = elements.redactionList.querySelectorAll('input:checked');
+      resolve({
+        masked: Array.from(checked).map(input => findings[input.dataset.index]),
+        restore: elements.restoreRedacted.checked
+      });
+    };
+    const onSend = () => finish(true);
+    const onCancel = () => finish(false);
+
+    elements.sendRedactedBtn.addEventListener('click', onSend);
+    elements.cancelRedactionBtn.addEventListener('click', onCancel);
+    elements.closeRedactionBtn.addEventListener('click', onCancel);
+  });
+}
+
+/**
+ * Show what was cut to fit the token budget, one line per snippet group, file,
+ * or filename list
+ */
+function renderTrimReport({ trimmed = [], tokens, budget, overBudget } = {}) {
+  if (!elements.trimReport) return;
+
+  elements.trimReport.classList.toggle('hidden', !trimmed.length && !overBudget);
+
+  const saved = trimmed.reduce((sum, t) => sum + t.tokens, 0);
+  elements.trimSummary.textContent = overBudget
+    ? `Over the ${formatTokenCount(budget)}-token budget (${formatTokenCount(tokens)} tokens)`
+    : `Trimmed ${formatTokenCount(saved)} tokens to fit the ${formatTokenCount(budget)}-token budget`;
+
+  elements.trimContent.innerHTML = `
+    <ul>
+      ${trimmed.map(t => `
+        <li>${escapeHtml(t.label)} <span class="rationale-reason">— ${formatTokenCount(t.tokens)} tokens</span></li>
+      `).join('')}
+      ${overBudget ? '<li>The prompt and rules alone exceed the budget; shorten the prompt or raise the budget in Settings</li>' : ''}
+    </ul>
+  `;
+}
+
+// Rationale from structured responses
+function renderRationale(rationale) {
+  if (!elements.rationalePanel || !elements.rationaleContent) return;
+
+  const changes = rationale?.changes || [];
+  const assumptions = rationale?.assumptions || [];
+  elements.rationalePanel.classList.toggle('hidden', !changes.length && !assumptions.length);
+
+  elements.rationaleContent.innerHTML = `
+    ${changes.length ? `
+      <h4>Changes</h4>
+      <ul>
+        ${changes.map(c => `
+          <li>${escapeHtml(c.change)}${c.reason ? ` <span class="rationale-reason">— ${escapeHtml(c.reason)}</span>` : ''}</li>
+        `).join('')}
+      </ul>
+    ` : ''}
+    ${assumptions.length ? `
+      <h4>Assumptions</h4>
+      <ul>
+        ${assumptions.map(a => `<li>${escapeHtml(a)}</li>`).join('')}
+      </ul>
+    ` : ''}
+  `;
+}
+
+function handleQueue({ providerName, position, depth, waitMs }) {
+  const btnText = elements.optimizeBtn?.querySelector('.btn-text');
+
+  if (position === 0) {
+    if (btnText) btnText.textContent = 'Optimizing...';
+    return;
+  }
+
+  const seconds = Math.ceil(waitMs / 1000);
+  if (btnText) btnText.textContent = `Queued ${position}/${depth}...`;
+  showStatus(`${providerName} rate limit: ${depth} queued, next slot in ${seconds}s`, 'info');
+}
+
+function handleRetry({ provider, attempt, maxAttempts, delayMs }) {
+  // Discard partial output from the failed attempt
+  if (elements.optimizedPrompt) {
+    elements.optimizedPrompt.value = '';
+  }
+  showStatus(`${provider}: retrying in ${Math.ceil(delayMs / 1000)}s, attempt ${attempt}/${maxAttempts}`, 'warning');
+}
+
+function handleFallback({ from, to, error }) {
+  // Discard partial output from the provider that failed
+  if (elements.optimizedPrompt) {
+    elements.optimizedPrompt.value = '';
+  }
+  showStatus(`${from} failed (${error}). Trying ${to}...`, 'warning');
+}
+
 async function scrapeClaudeFiles() {
   try {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab?.url?.includes('claude.ai')) return [];
+    if (!currentSite || !currentTabId) return [];
 
-    return new Promise((resolve) => {
-      chrome.tabs.sendMessage(tab.id, { type: 'SCRAPE_CLAUDE_FILES' }, (response) => {
-        if (chrome.runtime.lastError) {
-          resolve([]);
-          return;
-        }
-        resolve(response?.filenames || []);
-      });
-    });
+    const response = await sendToContentScript(currentTabId, { type: 'SCRAPE_CLAUDE_FILES' });
+    return response?.filenames || [];
   } catch {
     return [];
   }
@@ -472,48 +853,28 @@ async function handlePasteToClaude() {
   const text = elements.optimizedPrompt?.value;
   if (!text) return;
 
-  if (!isOnClaudeTab || !currentTabId) {
+  if (!currentSite || !currentTabId) {
     // Copy to clipboard as fallback
     await navigator.clipboard.writeText(text);
-    showStatus('Copied! Open Claude and paste.', 'info');
+    showStatus('Copied! Open your chat and paste.', 'info');
     return;
   }
 
   try {
-    await chrome.scripting.executeScript({
-      target: { tabId: currentTabId },
-      func: (promptText) => {
-        const selectors = [
-          '[data-placeholder="How can Claude help you today?"]',
-          'div[contenteditable="true"]',
-          '.ProseMirror',
-          '[role="textbox"]'
-        ];
-
-        for (const selector of selectors) {
-          const el = document.querySelector(selector);
-          if (el) {
-            el.focus();
-            // Clear existing content
-            el.innerHTML = '';
-            // Insert new text
-            document.execCommand('insertText', false, promptText);
-            return true;
-          }
-        }
-        return false;
-      },
-      args: [text]
-    });
+    // The content script keeps the replaced draft so it can be restored in the page
+    const response = await sendToContentScript(currentTabId, { type: 'SET_PROMPT', text });
+    if (!response?.success) {
+      throw new Error(response?.error || `${currentSite.name} input not found`);
+    }
 
-    showStatus('Pasted to Claude!', 'success');
+    showStatus(`Pasted to ${currentSite.name}! Alt+Shift+Z restores your draft.`, 'success');
 
     // Close popup after successful paste
     setTimeout(() => window.close(), 500);
   } catch (error) {
     console.error('Paste error:', error);
     await navigator.clipboard.writeText(text);
-    showStatus('Copied! Paste manually in Claude.', 'info');
+    showStatus(`${error.message}. Copied! Paste manually in ${currentSite.name}.`, 'warning');
   }
 }
 
@@ -547,8 +908,35 @@ async function loadTemplates() {
 }
 
 function useTemplate(template) {
+  const variables = parseTemplateVariables(template.prompt);
+  if (!variables.length) {
+    applyTemplatePrompt(template.prompt);
+    return;
+  }
+
+  pendingTemplate = template;
+  elements.templateFormTitle.textContent = `${template.icon} ${template.name}`;
+  elements.templateFormFields.innerHTML = renderVariableFields(variables);
+  elements.templateFormModal?.classList.remove('hidden');
+  elements.templateFormFields.querySelector('[data-variable]')?.focus();
+}
+
+function handleUseTemplate() {
+  if (!pendingTemplate) return;
+
+  const values = readVariableFields(elements.templateFormFields);
+  applyTemplatePrompt(renderTemplate(pendingTemplate.prompt, values));
+  closeTemplateForm();
+}
+
+function closeTemplateForm() {
+  pendingTemplate = null;
+  elements.templateFormModal?.classList.add('hidden');
+}
+
+function applyTemplatePrompt(prompt) {
   if (elements.rawPrompt) {
-    elements.rawPrompt.value = template.prompt;
+    elements.rawPrompt.value = prompt;
     updateTokenCount();
   }
   switchTab('prompt');
@@ -578,7 +966,9 @@ async function handleSaveTemplate() {
   await saveTemplate({ name, icon, prompt });
   closeTemplateModal();
   loadTemplates();
-  showStatus('Template saved!', 'success');
+
+  const fields = parseTemplateVariables(prompt).length;
+  showStatus(fields ? `Template saved with ${fields} field${fields === 1 ? '' : 's'}!` : 'Template saved!', 'success');
 }
 
 async function handleDeleteTemplate(id) {
@@ -621,7 +1011,7 @@ async function openHistory() {
 
     elements.historyList.innerHTML = history.map(item => `
       <div class="history-item" data-id="${item.id}">
-        <div class="history-date">${formatDate(item.timestamp)}</div>
+        <div class="history-date">${formatDate(item.timestamp)}${item.providerName ? ` · ${escapeHtml(item.providerName)}` : ''}${item.target ? ` → ${escapeHtml(getTargetProfile(item.target).name)}` : ''}</div>
         <div class="history-preview">${escapeHtml(item.original.substring(0, 80))}...</div>
         <div class="history-actions">
           <button class="btn btn-secondary history-use" data-id="${item.id}">Use</button>
@@ -640,6 +1030,13 @@ async function openHistory() {
           elements.optimizedPrompt.value = item.optimized;
           lastOriginalPrompt = item.original;
           lastOptimizedPrompt = item.optimized;
+          renderVariantTabs([]);
+          renderRationale(item.rationale);
+          renderTrimReport();
+          elements.outputCached?.classList.add('hidden');
+          if (elements.outputProvider) {
+            elements.outputProvider.textContent = item.providerName || '';
+          }
           elements.outputGroup?.classList.remove('hidden');
           updateTokenCount();
           closeHistory();
@@ -692,6 +1089,8 @@ function setLoading(loading) {
     if (btnText) btnText.textContent = loading ? 'Optimizing...' : 'Optimize';
     spinner?.classList.toggle('hidden', !loading);
   }
+
+  elements.cancelBtn?.classList.toggle('hidden', !loading);
 }
 
 function showStatus(message, type) {
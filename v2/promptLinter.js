@@ -0,0 +1,140 @@
+// extension/src/utils/promptLinter.js
+'use strict';
+
+import { estimateTokens } from './tokenCounter.js';
+
+/**
+ * Prompt linter
+ * Rule-based checks on the raw prompt that run locally on every keystroke,
+ * before any API call. Each finding carries a fix the UI applies on click:
+ * a range to select in the prompt, or text to append at the end (with the
+ * caret placed at `caret` within it, or after it)
+ */
+
+// Points deducted per finding; the score starts at 100
+const PENALTIES = {
+  placeholder: 30,
+  missingCode: 25,
+  outputFormat: 15,
+  vague: 10,
+  successCriteria: 10,
+  length: 15
+};
+
+// Prose above this many tokens (code excluded) buries the actual instruction
+const MAX_PROSE_TOKENS = 1500;
+
+// Unfilled slots such as [paste code here], or {{code:textarea}} fields pasted
+// without going through the template form
+const PLACEHOLDER_PATTERN = /\[(?:paste|insert|add|enter|describe|your)\b[^\]\n]{0,60}\]|\{\{\w+:(?:text|textarea|select)\b[^}]*\}\}/gi;
+
+const VAGUE_PATTERN = new RegExp([
+  '\\bmake (?:it|this|that) (?:better|nicer|good|great|work)\\b',
+  '\\bimprove (?:it|this|that)\\b',
+  '\\bfix (?:it|this|that)(?! (?:bug|error|issue|test|warning)s?\\b)',
+  '\\bclean (?:it |this |that )?up\\b',
+  '\\blook (?:at|into) (?:it|this|that)\\b',
+  '\\bdo something\\b',
+  '\\bhelp me with\\b',
+  '\\bsomething like\\b',
+  '\\band so on\\b',
+  '\\betc\\b'
+].join('|'), 'gi');
+
+const OUTPUT_FORMAT_PATTERN = /\b(?:format|formatted|respond|response|reply|return|output|table|json|yaml|csv|markdown|bullets?|bullet points|numbered|list of|steps|code blocks?|diff|patch|in \d+ (?:words|sentences|lines|paragraphs))\b/i;
+
+const SUCCESS_CRITERIA_PATTERN = /\b(?:should|must|so that|ensure|make sure|expected|expect|criteria|done when|pass(?:es)?|until|requirements?|acceptance|without breaking|at least|at most|no more than)\b/i;
+
+// Prompts that ask about code they are supposed to include
+const CODE_REQUEST_PATTERN = /\b(?:this|the following|the below|my|attached) (?:code|function|method|class|component|script|snippet|query|file|module)\b|\bcode below\b|\b(?:debug|refactor)\b/i;
+
+const CODE_PATTERN = /```|^(?: {2,}|\t)\S|[;{}]\s*$|=>|\b(?:function|def|class|import|const|let|var|return|public|private)\b.*[({=:]/m;
+
+/**
+ * Check a raw prompt for common weaknesses
+ * @param {string} text - Raw prompt
+ * @param {Object} [context]
+ * @param {boolean} [context.hasAttachments] - Files or page context will be sent with it
+ * @returns {{ score: number|null, issues: Object[] }} score is null for an empty
+ *   prompt; each issue is { id, severity, message, select?: [start, end], append?: string, caret?: number }
+ */
+export function lintPrompt(text, { hasAttachments = false } = {}) {
+  if (!text?.trim()) {
+    return { score: null, issues: [] };
+  }
+
+  const issues = [];
+  const prose = text.replace(/```[\s\S]*?(?:```|$)/g, '');
+
+  const placeholders = [...text.matchAll(PLACEHOLDER_PATTERN)];
+  if (placeholders.length) {
+    const first = placeholders[0];
+    issues.push({
+      id: 'placeholder',
+      severity: 'error',
+      message: `Replace the placeholder ${first[0]}${placeholders.length > 1 ? ` (+${placeholders.length - 1} more)` : ''}`,
+      select: [first.index, first.index + first[0].length]
+    });
+  } else if (!hasAttachments && CODE_REQUEST_PATTERN.test(prose) && !CODE_PATTERN.test(text)) {
+    issues.push({
+      id: 'missingCode',
+      severity: 'error',
+      message: 'Asks about code but none is included; paste it or attach a file',
+      append: '\n\n```\n\n```',
+      caret: 5
+    });
+  }
+
+  const vague = [...prose.matchAll(VAGUE_PATTERN)];
+  if (vague.length) {
+    const first = vague[0];
+    const start = text.indexOf(first[0]);
+    issues.push({
+      id: 'vague',
+      severity: 'warning',
+      message: `Vague wording: "${first[0]}"${vague.length > 1 ? ` (+${vague.length - 1} more)` : ''}; say what should change`,
+      select: [start, start + first[0].length]
+    });
+  }
+
+  if (!OUTPUT_FORMAT_PATTERN.test(prose)) {
+    issues.push({
+      id: 'outputFormat',
+      severity: 'warning',
+      message: 'No output format; say how the answer should look',
+      append: '\n\nOutput format: '
+    });
+  }
+
+  if (!SUCCESS_CRITERIA_PATTERN.test(prose)) {
+    issues.push({
+      id: 'successCriteria',
+      severity: 'info',
+      message: 'No success criteria; say what a good answer must do',
+      append: '\n\nThe result is done when: '
+    });
+  }
+
+  const proseTokens = estimateTokens(prose);
+  if (proseTokens > MAX_PROSE_TOKENS) {
+    issues.push({
+      id: 'length',
+      severity: 'warning',
+      message: `Instructions run to ~${proseTokens} tokens; move background into a file or cut it down`
+    });
+  }
+
+  const penalty = issues.reduce((sum, issue) => sum + PENALTIES[issue.id], 0);
+  return { score: Math.max(0, 100 - penalty), issues };
+}
+
+/**
+ * Grade for a score, used as a CSS modifier
+ * @param {number} score
+ * @returns {'good'|'fair'|'poor'}
+ */
+export function getScoreGrade(score) {
+  if (score >= 80) return 'good';
+  if (score >= 50) return 'fair';
+  return 'poor';
+}
@@ -0,0 +1,135 @@
+// extension/src/utils/redaction.js
+'use strict';
+
+/**
+ * Secret and PII redaction
+ * Masks credentials and personal data in the assembled payload before it is
+ * sent to a provider. The same value always gets the same placeholder, so the
+ * optimizing model can still refer to it and restoreSecrets can put it back
+ */
+
+// Variable names holding a secret keyword as a whole underscore-separated part,
+// so API_KEY and DB_PASSWORD match but MONKEY, KEYBOARD and MAX_TOKENS don't.
+// The short keywords only count with =, leaving YAML keys and prose headers such as
+// "Auth: ..." alone
+const envName = (keywords) => `(?:[A-Z0-9]+_)*(?:${keywords})(?:_[A-Z0-9]+)*`;
+const ENV_ASSIGNMENT = `(?:${envName('SECRET|PASSWORD|PASSWD|CREDENTIALS?|DATABASE_URL|CONNECTION_STRING')}[ \\t]*[=:]`
+  + `|${envName('KEY|TOKEN|AUTH|PWD|DSN')}[ \\t]*=)`;
+
+// Applied in order; earlier patterns win, so whole blocks and .env values are
+// masked before the narrower token patterns run over them
+const REDACTION_PATTERNS = [
+  {
+    type: 'PRIVATE_KEY',
+    label: 'Private key',
+    pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g
+  },
+  {
+    type: 'ENV_SECRET',
+    label: '.env secret',
+    // Only the value is masked; the variable name and any quotes stay readable.
+    // Quoted values may contain spaces and #, unquoted ones end at either
+    pattern: new RegExp(`^([ \\t]*(?:export[ \\t]+)?${ENV_ASSIGNMENT}[ \\t]*)(?:"([^"\\n]*)"|'([^'\\n]*)'|([^\\s#]+))`, 'gm'),
+    groups: [2, 3, 4]
+  },
+  {
+    type: 'CONNECTION_STRING',
+    label: 'Connection string',
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:[^\s@/]+@[^\s"'`]+/gi
+  },
+  {
+    type: 'AWS_KEY',
+    label: 'AWS access key',
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g
+  },
+  {
+    type: 'GITHUB_TOKEN',
+    label: 'GitHub token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g
+  },
+  {
+    type: 'JWT',
+    label: 'JWT',
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g
+  },
+  {
+    type: 'EMAIL',
+    label: 'Email address',
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  },
+  {
+    type: 'IP',
+    label: 'IP address',
+    pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+    ignore: ['127.0.0.1', '0.0.0.0']
+  }
+];
+
+/**
+ * Mask secrets and personal data in text
+ * @param {string} text - Text to scan, usually the assembled payload
+ * @returns {{ text: string, findings: Object[] }} findings lists one
+ *   { placeholder, type, label, value, count } per distinct masked value
+ */
+export function redactSecrets(text) {
+  const findings = new Map();
+  const counters = {};
+  let redacted = text;
+
+  for (const { type, label, pattern, groups, ignore = [] } of REDACTION_PATTERNS) {
+    redacted = redacted.replace(pattern, (match, ...args) => {
+      // Patterns with alternatives capture the value in whichever group matched
+      const value = groups ? groups.map(g => args[g - 1]).find(v => v != null) : match;
+      if (!value || ignore.includes(value)) return match;
+
+      if (!findings.has(value)) {
+        counters[type] = (counters[type] || 0) + 1;
+        findings.set(value, { placeholder: `[REDACTED_${type}_${counters[type]}]`, type, label, value, count: 0 });
+      }
+
+      const finding = findings.get(value);
+      finding.count += 1;
+      if (!groups) return finding.placeholder;
+
+      // The captured value sits at the end of the match, after the variable name
+      const start = match.lastIndexOf(value);
+      return match.slice(0, start) + finding.placeholder + match.slice(start + value.length);
+    });
+  }
+
+  return { text: redacted, findings: Array.from(findings.values()) };
+}
+
+/**
+ * Put masked values back in place of their placeholders
+ * @param {string} text - Text containing placeholders, e.g. the optimized prompt
+ * @param {Object[]} findings - Findings from redactSecrets
+ * @returns {string}
+ */
+export function restoreSecrets(text, findings) {
+  return findings.reduce(
+    (result, finding) => result.split(finding.placeholder).join(finding.value),
+    text
+  );
+}
+
+// Personal data is shown in full in the review so false positives are easy to spot
+const SHOWN_IN_REVIEW = ['EMAIL', 'IP'];
+
+/**
+ * Describe a finding for the review list without showing the whole secret
+ * @param {Object} finding - Finding from redactSecrets
+ * @returns {string} e.g. "AKIA…MPLE"
+ */
+export function maskPreview({ type, value }) {
+  if (SHOWN_IN_REVIEW.includes(type)) {
+    return value;
+  }
+  if (type === 'PRIVATE_KEY') {
+    return value.split('\n')[0];
+  }
+  if (value.length <= 10) {
+    return value[0] + '…';
+  }
+  return `${value.slice(0, 4)}…${value.slice(-4)}`;
+}
@@ -0,0 +1,91 @@
+// extension/src/utils/responseCache.js
+'use strict';
+
+/**
+ * Local cache of optimization results, used by the background worker
+ * Entries are keyed by a hash of the assembled payload and the settings that
+ * shape the response, and expire after a configurable TTL
+ */
+
+const CACHE_KEY = 'responseCache';
+
+/**
+ * Hash the inputs of a request into a cache key
+ * @param {Object} parts - Payload, provider, model and any options affecting the output
+ * @returns {Promise<string>} Hex-encoded SHA-256 digest
+ */
+export async function createCacheKey(parts) {
+  const data = new TextEncoder().encode(JSON.stringify(parts));
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Look up a cached result
+ * @param {string} key - Key from createCacheKey
+ * @param {number} ttlMinutes - Maximum age of a usable entry
+ * @returns {Promise<Object|null>} The cached result, or null on a miss
+ */
+export async function getCachedResponse(key, ttlMinutes) {
+  const entries = await getEntries();
+  const entry = entries.find(e => e.key === key);
+
+  if (!entry || isExpired(entry, ttlMinutes)) {
+    return null;
+  }
+  return entry.result;
+}
+
+/**
+ * Store a result, dropping expired entries and the oldest ones beyond the size limit
+ * @param {string} key - Key from createCacheKey
+ * @param {Object} result - Result to cache
+ * @param {Object} limits
+ * @param {number} limits.ttl - Entry lifetime in minutes
+ * @param {number} limits.size - Maximum number of entries
+ */
+export async function setCachedResponse(key, result, { ttl, size }) {
+  const entries = (await getEntries())
+    .filter(e => e.key !== key && !isExpired(e, ttl));
+
+  entries.unshift({ key, createdAt: Date.now(), result });
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [CACHE_KEY]: entries.slice(0, size) }, () => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Remove all cached results
+ */
+export async function clearResponseCache() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.remove(CACHE_KEY, () => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+async function getEntries() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([CACHE_KEY], (result) => {
+      resolve(result[CACHE_KEY] || []);
+    });
+  });
+}
+
+function isExpired(entry, ttlMinutes) {
+  return Date.now() - entry.createdAt > ttlMinutes * 60 * 1000;
+}
@@ -0,0 +1,261 @@
+// extension/src/utils/ruleRegistry.js
+'use strict';
+
+/**
+ * Rule registry
+ * Preferences and presets store enabled rules as { [ruleId]: params }; a rule
+ * that is missing from the object is off. Each rule declares typed parameters
+ * (enum, text, number) and renders itself into bullets for {{rules}}
+ */
+
+const COVERAGE = {
+  basic: 'the main success paths',
+  edges: 'the main paths and edge cases',
+  thorough: 'the main paths, edge cases, and error handling'
+};
+
+const RESPONSE_FORMATS = {
+  code: 'Respond with code only; no prose outside code blocks',
+  codeExplained: 'Respond with the code first, followed by a short explanation',
+  steps: 'Structure the response as numbered steps',
+  markdown: 'Format the response as a markdown document with headings',
+  bullets: 'Answer in concise bullet points',
+  json: 'Return the result as valid JSON'
+};
+
+export const RULES = [
+  {
+    id: 'noReadme',
+    label: 'No README - provide runnable code only',
+    params: [],
+    render: () => ['Do NOT include README files or documentation unless explicitly needed']
+  },
+  {
+    id: 'fullCode',
+    label: 'Complete code blocks (no placeholders)',
+    params: [],
+    render: () => [
+      'Always provide complete, runnable code (no placeholders, no "// rest of code here")',
+      'Include all imports, dependencies, and boilerplate'
+    ]
+  },
+  {
+    id: 'preferVanilla',
+    label: 'Prefer vanilla JS and standard APIs',
+    params: [],
+    render: () => [
+      'Prefer vanilla JavaScript and standard web APIs when possible',
+      'For browser extensions, use Chrome Manifest V3'
+    ]
+  },
+  {
+    id: 'stack',
+    label: 'Language and framework',
+    params: [
+      { name: 'language', label: 'Language', type: 'text', default: '', placeholder: 'e.g., TypeScript' },
+      { name: 'framework', label: 'Framework', type: 'text', default: '', placeholder: 'e.g., React 18' }
+    ],
+    render: ({ language, framework }) => {
+      const stack = [language, framework].filter(Boolean).join(' with ');
+      return stack ? [`Write the code in ${stack}`] : [];
+    }
+  },
+  {
+    id: 'testing',
+    label: 'Testing requirements',
+    params: [
+      {
+        name: 'coverage',
+        label: 'Coverage',
+        type: 'enum',
+        default: 'edges',
+        options: [
+          { value: 'basic', label: 'Happy path' },
+          { value: 'edges', label: 'Edge cases' },
+          { value: 'thorough', label: 'Thorough' }
+        ]
+      },
+      { name: 'framework', label: 'Test framework', type: 'text', default: '', placeholder: 'e.g., Vitest' }
+    ],
+    render: ({ coverage, framework }) => [
+      `Include unit tests${framework ? ` using ${framework}` : ''} covering ${COVERAGE[coverage]}`
+    ]
+  },
+  {
+    id: 'responseFormat',
+    label: 'Output format',
+    params: [
+      {
+        name: 'format',
+        label: 'Format',
+        type: 'enum',
+        default: 'codeExplained',
+        options: [
+          { value: 'code', label: 'Code only' },
+          { value: 'codeExplained', label: 'Code, then explanation' },
+          { value: 'steps', label: 'Numbered steps' },
+          { value: 'markdown', label: 'Markdown document' },
+          { value: 'bullets', label: 'Bullet points' },
+          { value: 'json', label: 'JSON' }
+        ]
+      }
+    ],
+    render: ({ format }) => [RESPONSE_FORMATS[format]]
+  },
+  {
+    id: 'verbosity',
+    label: 'Verbosity',
+    params: [
+      {
+        name: 'level',
+        label: 'Level',
+        type: 'enum',
+        default: 'minimal',
+        options: [
+          { value: 'minimal', label: 'Minimal' },
+          { value: 'balanced', label: 'Balanced' },
+          { value: 'detailed', label: 'Detailed' }
+        ]
+      },
+      { name: 'maxWords', label: 'Max words (0 = no limit)', type: 'number', default: 0, min: 0, max: 5000 }
+    ],
+    render: ({ level, maxWords }) => {
+      const rules = {
+        minimal: [
+          'Keep explanations minimal; code should be self-documenting',
+          'Add a brief 2-3 line summary at the end only'
+        ],
+        balanced: ['Explain key decisions briefly alongside the code'],
+        detailed: ['Explain the reasoning, trade-offs, and alternatives in detail']
+      }[level];
+
+      return maxWords > 0 ? [...rules, `Keep prose under ${maxWords} words (code excluded)`] : rules;
+    }
+  },
+  {
+    id: 'tone',
+    label: 'Tone',
+    params: [
+      {
+        name: 'tone',
+        label: 'Tone',
+        type: 'enum',
+        default: 'neutral',
+        options: [
+          { value: 'neutral', label: 'Neutral' },
+          { value: 'friendly', label: 'Friendly' },
+          { value: 'formal', label: 'Formal' },
+          { value: 'direct', label: 'Direct' }
+        ]
+      }
+    ],
+    render: ({ tone }) => [`Use a ${tone} tone`]
+  },
+  {
+    id: 'audience',
+    label: 'Audience',
+    params: [
+      {
+        name: 'level',
+        label: 'Level',
+        type: 'enum',
+        default: 'intermediate',
+        options: [
+          { value: 'beginner', label: 'Beginner' },
+          { value: 'intermediate', label: 'Intermediate' },
+          { value: 'expert', label: 'Expert' }
+        ]
+      },
+      { name: 'role', label: 'Role', type: 'text', default: 'developer', placeholder: 'e.g., data analyst' }
+    ],
+    render: ({ level, role }) => {
+      const reader = `${/^[aeiou]/.test(level) ? 'an' : 'a'} ${level} ${role || 'developer'}`;
+      return [{
+        beginner: `Write for ${reader}; define terms and avoid jargon`,
+        intermediate: `Write for ${reader}`,
+        expert: `Write for ${reader}; skip the basics`
+      }[level]];
+    }
+  },
+  {
+    id: 'clarifyFirst',
+    label: 'Ask clarifying questions first',
+    params: [
+      { name: 'maxQuestions', label: 'Max questions', type: 'number', default: 3, min: 1, max: 10 }
+    ],
+    render: ({ maxQuestions }) => [
+      `Before answering, ask up to ${maxQuestions} clarifying questions if anything is ambiguous, and wait for the answers`
+    ]
+  }
+];
+
+// Rules enabled on a fresh install; matches the old default preferences
+export const DEFAULT_RULES = {
+  noReadme: {},
+  fullCode: {},
+  preferVanilla: {},
+  verbosity: { level: 'minimal', maxWords: 0 }
+};
+
+/**
+ * Look up a rule by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getRule(id) {
+  return RULES.find(rule => rule.id === id) || null;
+}
+
+/**
+ * Coerce stored or form values into a rule's typed parameters, filling defaults
+ * @param {Object} rule - Entry from RULES
+ * @param {Object} [values] - Raw parameter values
+ * @returns {Object} Parameter values by name
+ */
+export function resolveRuleParams(rule, values = {}) {
+  const params = {};
+
+  for (const param of rule.params) {
+    const value = values[param.name];
+
+    if (param.type === 'enum') {
+      params[param.name] = param.options.some(o => o.value === value) ? value : param.default;
+    } else if (param.type === 'number') {
+      const number = Number(value);
+      params[param.name] = value === '' || value == null || Number.isNaN(number)
+        ? param.default
+        : Math.min(param.max ?? Infinity, Math.max(param.min ?? -Infinity, Math.round(number)));
+    } else {
+      params[param.name] = typeof value === 'string' ? value.trim() : param.default;
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Render enabled rules into bullet text, in registry order
+ * @param {Object} rules - { [ruleId]: params }
+ * @returns {string[]}
+ */
+export function renderRuleBullets(rules = {}) {
+  return RULES
+    .filter(rule => rules[rule.id])
+    .flatMap(rule => rule.render(resolveRuleParams(rule, rules[rule.id])));
+}
+
+/**
+ * Build a rule set from the four booleans used before the registry existed
+ * @param {Object} flags - { noReadme, fullCode, shortSummary, preferVanilla }
+ * @returns {Object} { [ruleId]: params }
+ */
+export function rulesFromLegacy(flags = {}) {
+  const rules = {};
+
+  if (flags.noReadme) rules.noReadme = {};
+  if (flags.fullCode) rules.fullCode = {};
+  if (flags.preferVanilla) rules.preferVanilla = {};
+  if (flags.shortSummary) rules.verbosity = { level: 'minimal', maxWords: 0 };
+
+  return rules;
+}
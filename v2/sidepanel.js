@@ -1,22 +1,33 @@
 'use strict';
 
-import { loadPreferences, getHistory, saveToHistory, getTheme, setTheme } from './utils/storage.js';
-import { assemblePayload } from './utils/assemblePayload.js';
-import { generateWithProvider } from './utils/aiProviders.js';
-import { estimateTokens, formatTokenCount } from './utils/tokenCounter.js';
-
-// Default templates for quick access
+import { loadPreferences, getHistory, saveToHistory, updateHistoryItem, getActiveStrategy, getTheme, setTheme } from './utils/storage.js';
+import { getTargetProfile } from './utils/targetProfiles.js';
+import { redactSecrets, restoreSecrets, maskPreview } from './utils/redaction.js';
+import { assembleWithinBudget } from './utils/assemblePayload.js';
+import { streamOptimization } from './utils/optimizeStream.js';
+import { estimateTokens, formatTokenCount, getTokenBudget } from './utils/tokenCounter.js';
+import { lintPrompt, getScoreGrade } from './utils/promptLinter.js';
+import { parseTemplateVariables, renderTemplate, renderVariableFields, readVariableFields } from './utils/templateVariables.js';
+import { getSiteAdapter, isSiteEnabled, sendToContentScript } from './utils/siteAdapters.js';
+
+// Default templates for quick access; {{name:type}} fields open a fill-in form
 const QUICK_TEMPLATES = {
-  debug: 'Debug this code. Find the bug, explain why it happens, and provide the fix:\n\n[paste code]',
-  explain: 'Explain this code in detail. What does it do and how?\n\n[paste code]',
-  refactor: 'Refactor this code for better readability and performance:\n\n[paste code]',
-  tests: 'Write unit tests for this code with edge cases:\n\n[paste code]'
+  debug: 'Debug this {{language:select:JavaScript,TypeScript,Python,Other}} code. Find the bug, explain why it happens, and provide the fix:\n\n{{code:textarea}}',
+  explain: 'Explain this {{language:select:JavaScript,TypeScript,Python,Other}} code in detail. What does it do and how?\n\n{{code:textarea}}',
+  refactor: 'Refactor this {{language:select:JavaScript,TypeScript,Python,Other}} code for {{goal:text=better readability and performance}}:\n\n{{code:textarea}}',
+  tests: 'Write unit tests for this {{language:select:JavaScript,TypeScript,Python,Other}} code with edge cases:\n\n{{code:textarea}}'
 };
 
 let elements = {};
-let isOnClaudeTab = false;
+let currentSite = null;
 let currentTabId = null;
 let autoOptimizeTimeout = null;
+let optimizeController = null;
+let currentVariants = [];
+let currentRationales = [];
+let currentHistoryId = null;
+let lintIssues = [];
+let pendingTemplate = null;
 
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
@@ -33,14 +44,31 @@ function initElements() {
     settingsBtn: document.getElementById('spSettingsBtn'),
     claudeStatus: document.getElementById('spClaudeStatus'),
     templates: document.getElementById('spTemplates'),
+    templateForm: document.getElementById('spTemplateForm'),
+    templateFields: document.getElementById('spTemplateFields'),
+    cancelTemplateBtn: document.getElementById('spCancelTemplateBtn'),
+    useTemplateBtn: document.getElementById('spUseTemplateBtn'),
     tokens: document.getElementById('spTokens'),
+    lintScore: document.getElementById('spLintScore'),
+    lintHints: document.getElementById('spLintHints'),
     rawPrompt: document.getElementById('spRawPrompt'),
     autoOptimize: document.getElementById('spAutoOptimize'),
+    variantCount: document.getElementById('spVariantCount'),
+    forceFresh: document.getElementById('spForceFresh'),
     optimizeBtn: document.getElementById('spOptimizeBtn'),
+    cancelBtn: document.getElementById('spCancelBtn'),
     status: document.getElementById('spStatus'),
+    redactionReview: document.getElementById('spRedactionReview'),
+    redactionList: document.getElementById('spRedactionList'),
+    restoreRedacted: document.getElementById('spRestoreRedacted'),
+    sendRedactedBtn: document.getElementById('spSendRedactedBtn'),
+    cancelRedactionBtn: document.getElementById('spCancelRedactionBtn'),
     outputSection: document.getElementById('spOutputSection'),
     outputTokens: document.getElementById('spOutputTokens'),
+    outputProvider: document.getElementById('spOutputProvider'),
+    outputCached: document.getElementById('spOutputCached'),
     optimizedPrompt: document.getElementById('spOptimizedPrompt'),
+    variantTabs: document.getElementById('spVariantTabs'),
     copyBtn: document.getElementById('spCopyBtn'),
     pasteBtn: document.getElementById('spPasteBtn'),
     history: document.getElementById('spHistory')
@@ -54,10 +82,16 @@ function setupListeners() {
   elements.templates?.addEventListener('click', (e) => {
     const btn = e.target.closest('.sp-template-btn');
     if (btn && QUICK_TEMPLATES[btn.dataset.template]) {
-      elements.rawPrompt.value = QUICK_TEMPLATES[btn.dataset.template];
-      updateTokenCount();
+      openTemplateForm(QUICK_TEMPLATES[btn.dataset.template]);
     }
   });
+  elements.cancelTemplateBtn?.addEventListener('click', closeTemplateForm);
+  elements.useTemplateBtn?.addEventListener('click', () => {
+    if (!pendingTemplate) return;
+    elements.rawPrompt.value = renderTemplate(pendingTemplate, readVariableFields(elements.templateFields));
+    updateTokenCount();
+    closeTemplateForm();
+  });
 
   elements.rawPrompt?.addEventListener('input', () => {
     updateTokenCount();
@@ -67,7 +101,14 @@ function setupListeners() {
     }
   });
 
+  elements.lintScore?.addEventListener('click', () => {
+    if (lintIssues.length) elements.lintHints?.classList.toggle('hidden');
+  });
+  elements.lintHints?.addEventListener('click', handleLintHintClick);
+
   elements.optimizeBtn?.addEventListener('click', handleOptimize);
+  elements.cancelBtn?.addEventListener('click', () => optimizeController?.abort());
+  elements.variantTabs?.addEventListener('click', handleVariantClick);
   elements.copyBtn?.addEventListener('click', handleCopy);
   elements.pasteBtn?.addEventListener('click', handlePaste);
 }
@@ -96,51 +137,115 @@ async function toggleTheme() {
   applyTheme(next);
 }
 
-// Claude detection
+// Chat site detection (see siteAdapters.js)
 async function checkClaudeTab() {
   try {
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tab?.url?.includes('claude.ai')) {
-      isOnClaudeTab = true;
-      currentTabId = tab.id;
-      elements.claudeStatus?.classList.remove('hidden');
+    await setCurrentSite(tab);
 
+    if (currentSite) {
       // Try to capture input
-      const results = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: () => {
-          const el = document.querySelector('[contenteditable="true"], .ProseMirror');
-          return el?.textContent?.trim() || '';
-        }
-      });
-
-      const captured = results[0]?.result;
+      const response = await sendToContentScript(tab.id, { type: 'GET_PROMPT' });
+      const captured = response?.prompt?.trim();
       if (captured && elements.rawPrompt) {
         elements.rawPrompt.value = captured;
         updateTokenCount();
       }
     }
   } catch (e) {
-    console.error('Claude detection error:', e);
+    console.error('Chat site detection error:', e);
   }
 
   // Listen for tab changes
   chrome.tabs.onActivated?.addListener(async (info) => {
     try {
-      const tab = await chrome.tabs.get(info.tabId);
-      isOnClaudeTab = tab.url?.includes('claude.ai') || false;
-      currentTabId = isOnClaudeTab ? tab.id : null;
-      elements.claudeStatus?.classList.toggle('hidden', !isOnClaudeTab);
+      await setCurrentSite(await chrome.tabs.get(info.tabId));
     } catch (e) {}
   });
 }
 
+async function setCurrentSite(tab) {
+  const site = getSiteAdapter(tab?.url);
+  currentSite = site && await isSiteEnabled(site) ? site : null;
+  currentTabId = currentSite ? tab.id : null;
+
+  const label = elements.claudeStatus?.querySelector('span:last-child');
+  if (label && currentSite) label.textContent = `Connected to ${currentSite.name}`;
+  if (elements.pasteBtn) elements.pasteBtn.textContent = `Paste to ${currentSite?.name || 'chat'}`;
+  elements.claudeStatus?.classList.toggle('hidden', !currentSite);
+}
+
+// Templates
+function openTemplateForm(template) {
+  const variables = parseTemplateVariables(template);
+  if (!variables.length) {
+    elements.rawPrompt.value = template;
+    updateTokenCount();
+    return;
+  }
+
+  pendingTemplate = template;
+  elements.templateFields.innerHTML = renderVariableFields(variables, 'spTemplateVar');
+  elements.templateForm.classList.remove('hidden');
+  elements.templateFields.querySelector('[data-variable]')?.focus();
+}
+
+function closeTemplateForm() {
+  pendingTemplate = null;
+  elements.templateForm?.classList.add('hidden');
+}
+
 // Token counter
 function updateTokenCount() {
   const tokens = estimateTokens(elements.rawPrompt?.value || '');
   if (elements.tokens) {
     elements.tokens.textContent = `${formatTokenCount(tokens)} tokens`;
   }
+  updatePromptLint();
+}
+
+// Prompt linter
+function updatePromptLint() {
+  if (!elements.lintScore || !elements.lintHints) return;
+
+  const { score, issues } = lintPrompt(elements.rawPrompt?.value || '');
+  lintIssues = issues;
+
+  if (score === null) {
+    elements.lintScore.classList.add('hidden');
+    elements.lintHints.classList.add('hidden');
+    return;
+  }
+
+  elements.lintScore.textContent = `Score ${score}`;
+  elements.lintScore.className = `sp-lint-score ${getScoreGrade(score)}`;
+  elements.lintHints.replaceChildren(...issues.map((issue, i) => {
+    const item = document.createElement('li');
+    item.innerHTML = `<button class="sp-lint-hint ${issue.severity}" data-index="${i}"></button>`;
+    item.querySelector('button').textContent = issue.message;
+    return item;
+  }));
+  if (!issues.length) {
+    elements.lintHints.classList.add('hidden');
+  }
+}
+
+function handleLintHintClick(e) {
+  const btn = e.target.closest('.sp-lint-hint');
+  const issue = btn && lintIssues[Number(btn.dataset.index)];
+  const textarea = elements.rawPrompt;
+  if (!issue || !textarea) return;
+
+  textarea.focus();
+  if (issue.select) {
+    textarea.setSelectionRange(...issue.select);
+  } else if (issue.append) {
+    const base = textarea.value.trimEnd();
+    const caret = base.length + (issue.caret ?? issue.append.length);
+    textarea.value = base + issue.append;
+    textarea.setSelectionRange(caret, caret);
+    textarea.dispatchEvent(new Event('input'));
+  }
 }
 
 // Optimize
@@ -151,7 +256,11 @@ async function handleOptimize() {
     return;
   }
 
+  if (optimizeController) return;
+
+  optimizeController = new AbortController();
   setLoading(true);
+  const previousOutput = elements.optimizedPrompt?.value || '';
 
   try {
     const prefs = await loadPreferences();
@@ -161,37 +270,164 @@ async function handleOptimize() {
       return;
     }
 
-    const payload = assemblePayload(prompt, prefs, [], []);
+    const strategy = await getActiveStrategy();
+    const assembled = assembleWithinBudget(prompt, prefs, [], [], strategy?.template, getTokenBudget(prefs));
+
+    let payload = assembled.payload;
+    let masked = [];
+    let restore = false;
+    if (prefs.redactSecrets) {
+      const redaction = redactSecrets(payload);
+      masked = redaction.findings;
+      restore = prefs.restoreRedacted;
+
+      if (masked.length && prefs.reviewRedactions) {
+        const review = await reviewRedactions(masked, restore);
+        if (!review) {
+          showStatus('Cancelled', 'info');
+          return;
+        }
+        masked = review.masked;
+        restore = review.restore;
+      }
+
+      payload = restoreSecrets(redaction.text, redaction.findings.filter(f => !masked.includes(f)));
+    }
+
+    if (elements.optimizedPrompt) {
+      elements.optimizedPrompt.value = '';
+    }
+    renderVariantTabs([]);
+    elements.outputCached?.classList.add('hidden');
+    elements.outputSection?.classList.remove('hidden');
 
-    const optimized = await generateWithProvider(payload, {
-      provider: prefs.provider || 'gemini',
-      apiKey: prefs.apiKey,
-      openaiKey: prefs.openaiKey,
-      ollamaUrl: prefs.ollamaUrl
+    const result = await streamOptimization(payload, {
+      variants: Number(elements.variantCount?.value) || 1,
+      fresh: elements.forceFresh?.checked || false,
+      onToken: (chunk) => {
+        if (elements.optimizedPrompt) {
+          elements.optimizedPrompt.value += chunk;
+          elements.optimizedPrompt.scrollTop = elements.optimizedPrompt.scrollHeight;
+        }
+      },
+      onQueue: ({ providerName, position, depth, waitMs }) => {
+        const text = elements.optimizeBtn?.querySelector('.sp-btn-text');
+        if (position === 0) {
+          if (text) text.textContent = 'Optimizing...';
+          return;
+        }
+        if (text) text.textContent = `Queued ${position}/${depth}...`;
+        showStatus(`${providerName} rate limit: ${depth} queued, next slot in ${Math.ceil(waitMs / 1000)}s`, 'info');
+      },
+      onRetry: ({ provider, attempt, maxAttempts, delayMs }) => {
+        if (elements.optimizedPrompt) {
+          elements.optimizedPrompt.value = '';
+        }
+        showStatus(`${provider}: retrying in ${Math.ceil(delayMs / 1000)}s, attempt ${attempt}/${maxAttempts}`, 'error');
+      },
+      onFallback: ({ from, to }) => {
+        if (elements.optimizedPrompt) {
+          elements.optimizedPrompt.value = '';
+        }
+        showStatus(`${from} failed. Trying ${to}...`, 'error');
+      },
+      signal: optimizeController.signal
     });
 
-    await saveToHistory(prompt, optimized);
+    if (restore && masked.length) {
+      result.prompt = restoreSecrets(result.prompt, masked);
+      result.variants = result.variants.map(v => restoreSecrets(v, masked));
+    }
+    const optimized = result.prompt;
+
+    const entry = await saveToHistory(prompt, optimized, {
+      provider: result.provider,
+      providerName: result.providerName,
+      model: result.model,
+      target: prefs.targetModel,
+      rationale: result.rationales[0]
+    });
+    currentHistoryId = entry.id;
+    currentRationales = result.rationales;
 
     if (elements.optimizedPrompt) {
       elements.optimizedPrompt.value = optimized;
     }
+    renderVariantTabs(result.variants);
 
-    const outTokens = estimateTokens(optimized);
     if (elements.outputTokens) {
-      elements.outputTokens.textContent = `${formatTokenCount(outTokens)} tokens`;
+      elements.outputTokens.textContent = `${formatTokenCount(estimateTokens(optimized))} tokens`;
+    }
+    if (elements.outputProvider) {
+      elements.outputProvider.textContent = result.providerName;
+      elements.outputProvider.title = result.model || '';
     }
 
+    elements.outputCached?.classList.toggle('hidden', !result.cached);
     elements.outputSection?.classList.remove('hidden');
-    showStatus('Optimized!', 'success');
+    if (result.warning) {
+      showStatus(result.warning, 'error');
+    } else if (assembled.overBudget) {
+      showStatus(`Prompt is over the ${formatTokenCount(assembled.budget)}-token budget`, 'info');
+    } else if (assembled.trimmed.length) {
+      const cuts = assembled.trimmed.map(t => t.label).join('; ');
+      showStatus(`${cuts} to fit the ${formatTokenCount(assembled.budget)}-token budget`, 'info');
+    } else {
+      const maskedNote = masked.length ? ` ${masked.length} value${masked.length === 1 ? '' : 's'} masked.` : '';
+      showStatus((result.cached ? 'Loaded from cache.' : `Optimized with ${result.providerName}!`) + maskedNote, 'success');
+    }
     loadHistory();
 
   } catch (error) {
+    if (elements.optimizedPrompt) {
+      elements.optimizedPrompt.value = previousOutput;
+    }
+    elements.outputSection?.classList.toggle('hidden', !previousOutput);
     showStatus(error.message || 'Failed', 'error');
   } finally {
+    optimizeController = null;
     setLoading(false);
   }
 }
 
+// Variants
+function renderVariantTabs(variants) {
+  currentVariants = variants;
+  if (!elements.variantTabs) return;
+
+  elements.variantTabs.classList.toggle('hidden', variants.length < 2);
+  elements.variantTabs.innerHTML = variants.length < 2 ? '' : variants.map((text, index) => `
+    <button class="sp-variant-tab${index === 0 ? ' active' : ''}" data-index="${index}">
+      ${index + 1} · ${formatTokenCount(estimateTokens(text))}
+    </button>
+  `).join('');
+}
+
+async function handleVariantClick(e) {
+  const tab = e.target.closest('.sp-variant-tab');
+  if (!tab) return;
+
+  const index = Number(tab.dataset.index);
+  const optimized = currentVariants[index];
+  if (optimized === undefined) return;
+
+  elements.variantTabs.querySelectorAll('.sp-variant-tab').forEach(t => {
+    t.classList.toggle('active', t === tab);
+  });
+
+  if (elements.optimizedPrompt) {
+    elements.optimizedPrompt.value = optimized;
+  }
+  if (elements.outputTokens) {
+    elements.outputTokens.textContent = `${formatTokenCount(estimateTokens(optimized))} tokens`;
+  }
+
+  if (currentHistoryId) {
+    await updateHistoryItem(currentHistoryId, { optimized, rationale: currentRationales[index] || null });
+    loadHistory();
+  }
+}
+
 // Copy/Paste
 function handleCopy() {
   const text = elements.optimizedPrompt?.value;
@@ -205,31 +441,22 @@ async function handlePaste() {
   const text = elements.optimizedPrompt?.value;
   if (!text) return;
 
-  if (!isOnClaudeTab || !currentTabId) {
+  if (!currentSite || !currentTabId) {
     await navigator.clipboard.writeText(text);
-    showStatus('Copied - paste in Claude', 'success');
+    showStatus('Copied - paste in your chat', 'success');
     return;
   }
 
   try {
-    await chrome.scripting.executeScript({
-      target: { tabId: currentTabId },
-      func: (promptText) => {
-        const el = document.querySelector('[contenteditable="true"], .ProseMirror');
-        if (el) {
-          el.focus();
-          el.innerHTML = '';
-          document.execCommand('insertText', false, promptText);
-          return true;
-        }
-        return false;
-      },
-      args: [text]
-    });
-    showStatus('Pasted!', 'success');
-  } catch {
+    // The content script keeps the replaced draft so it can be restored in the page
+    const response = await sendToContentScript(currentTabId, { type: 'SET_PROMPT', text });
+    if (!response?.success) {
+      throw new Error(response?.error || `${currentSite.name} input not found`);
+    }
+    showStatus('Pasted! Alt+Shift+Z restores your draft.', 'success');
+  } catch (error) {
     await navigator.clipboard.writeText(text);
-    showStatus('Copied - paste manually', 'success');
+    showStatus(`${error.message}. Copied - paste manually`, 'error');
   }
 }
 
@@ -241,23 +468,29 @@ async function loadHistory() {
     if (history.length === 0) {
       elements.history.innerHTML = '<p class="sp-empty">No history yet</p>';
     } else {
-      elements.history.innerHTML = history.slice(0, 5).map(item => `
-        <div class="sp-history-item" data-original="${encodeURIComponent(item.original)}" data-optimized="${encodeURIComponent(item.optimized)}">
-          <div class="sp-history-date">${new Date(item.timestamp).toLocaleString()}</div>
-          <div class="sp-history-preview">${item.original.substring(0, 50)}...</div>
-        </div>
-      `).join('');
-
-      elements.history.querySelectorAll('.sp-history-item').forEach(item => {
-        item.addEventListener('click', () => {
-          const original = decodeURIComponent(item.dataset.original);
-          const optimized = decodeURIComponent(item.dataset.optimized);
-          elements.rawPrompt.value = original;
-          elements.optimizedPrompt.value = optimized;
+      // Provider names are user-defined for custom endpoints, so text goes in via textContent
+      elements.history.replaceChildren(...history.slice(0, 5).map(entry => {
+        const row = document.createElement('div');
+        row.className = 'sp-history-item';
+        row.innerHTML = '<div class="sp-history-date"></div><div class="sp-history-preview"></div>';
+        row.querySelector('.sp-history-date').textContent = new Date(entry.timestamp).toLocaleString()
+          + (entry.providerName ? ` · ${entry.providerName}` : '')
+          + (entry.target ? ` → ${getTargetProfile(entry.target).name}` : '');
+        row.querySelector('.sp-history-preview').textContent = `${entry.original.substring(0, 50)}...`;
+
+        row.addEventListener('click', () => {
+          elements.rawPrompt.value = entry.original;
+          elements.optimizedPrompt.value = entry.optimized;
+          renderVariantTabs([]);
+          elements.outputCached?.classList.add('hidden');
+          if (elements.outputProvider) {
+            elements.outputProvider.textContent = entry.providerName || '';
+          }
           elements.outputSection?.classList.remove('hidden');
           updateTokenCount();
         });
-      });
+        return row;
+      }));
     }
   }
 }
@@ -271,6 +504,49 @@ function setLoading(loading) {
     if (text) text.textContent = loading ? 'Optimizing...' : 'Optimize';
     spinner?.classList.toggle('hidden', !loading);
   }
+
+  elements.cancelBtn?.classList.toggle('hidden', !loading);
+}
+
+/**
+ * List masked values inline and wait for Send or Cancel
+ * @returns {Promise<{masked: Object[], restore: boolean}|null>} null when cancelled
+ */
+function reviewRedactions(findings, restore) {
+  elements.redactionList.replaceChildren(...findings.map((finding, i) => {
+    const item = document.createElement('label');
+    item.className = 'sp-checkbox';
+    item.innerHTML = `<input type="checkbox" data-index="${i}" checked><span></span><code></code>`;
+    item.querySelector('span').textContent = `${finding.label}:`;
+    item.querySelector('code').textContent = maskPreview(finding);
+    item.title = finding.placeholder;
+    return item;
+  }));
+  elements.restoreRedacted.checked = restore;
+  elements.redactionReview.classList.remove('hidden');
+
+  return new Promise(resolve => {
+    const finish = (send) => {
+      elements.redactionReview.classList.add('hidden');
+      elements.sendRedactedBtn.removeEventListener('click', onSend);
+      elements.cancelRedactionBtn.removeEventListener('click', onCancel);
+
+      if (!send) {
+        resolve(null);
+        return;
+      }
+      const checked = elements.redactionList.querySelectorAll('input:checked');
+      resolve({
+        masked: Array.from(checked).map(input => findings[input.dataset.index]),
+        restore: elements.restoreRedacted.checked
+      });
+    };
+    const onSend = () => finish(true);
+    const onCancel = () => finish(false);
+
+    elements.sendRedactedBtn.addEventListener('click', onSend);
+    elements.cancelRedactionBtn.addEventListener('click', onCancel);
+  });
 }
 
 function showStatus(message, type) {
@@ -0,0 +1,172 @@
+// extension/src/utils/siteAdapters.js
+'use strict';
+
+/**
+ * Site adapters
+ * One entry per chat UI the extension works with. Each declares where its
+ * composer, attachments and send button are, and how the content script
+ * reads and writes the composer:
+ *   read:  'blocks' - editor blocks back to markdown (ProseMirror and similar)
+ *          'text'   - innerText
+ *   write: 'paste'  - synthetic paste with text/html, then insertHTML, then insertText
+ *          'text'   - insertText only, for editors that mangle pasted HTML
+ * Textareas are read and written through their value whatever the strategy.
+ * claude.ai is granted at install; other sites are optional host permissions
+ * that the options page requests per site
+ */
+
+export const SITE_ADAPTERS = [
+  {
+    id: 'claude',
+    name: 'Claude',
+    hosts: ['claude.ai'],
+    matches: ['https://claude.ai/*'],
+    builtIn: true,
+    composer: [
+      '[data-placeholder="How can Claude help you today?"]',
+      '.ProseMirror',
+      'div[contenteditable="true"]',
+      '[role="textbox"]',
+      'textarea'
+    ],
+    read: 'blocks',
+    write: 'paste',
+    attachments: [
+      '[data-testid*="attachment"]',
+      '[data-testid*="file"]',
+      '.file-pill',
+      '.attachment-pill',
+      'a[download]',
+      '[aria-label*="file"]',
+      '[aria-label*="attachment"]',
+      'div[class*="file"]:not([class*="input"])',
+      'div[class*="attachment"]:not([class*="button"])',
+      'span[class*="file"]:not([class*="input"])'
+    ],
+    sendButton: 'button[aria-label="Send message"], button[aria-label="Send Message"]'
+  },
+  {
+    id: 'chatgpt',
+    name: 'ChatGPT',
+    hosts: ['chatgpt.com', 'chat.openai.com'],
+    matches: ['https://chatgpt.com/*', 'https://chat.openai.com/*'],
+    builtIn: false,
+    composer: [
+      '#prompt-textarea',
+      '.ProseMirror',
+      'div[contenteditable="true"]',
+      'textarea'
+    ],
+    read: 'blocks',
+    write: 'paste',
+    attachments: [
+      '[data-testid*="file"]',
+      '[data-testid*="attachment"]',
+      'div[class*="file-tile"]',
+      'a[download]',
+      '[aria-label*="file"]'
+    ],
+    sendButton: '[data-testid="send-button"], button[aria-label="Send prompt"]'
+  },
+  {
+    id: 'gemini',
+    name: 'Gemini',
+    hosts: ['gemini.google.com'],
+    matches: ['https://gemini.google.com/*'],
+    builtIn: false,
+    composer: [
+      'rich-textarea .ql-editor',
+      '.ql-editor[contenteditable="true"]',
+      'div[contenteditable="true"]',
+      'textarea'
+    ],
+    // Quill keeps one <p> per line and drops pasted code blocks and lists
+    read: 'text',
+    write: 'text',
+    attachments: [
+      'uploader-file-preview',
+      '[data-test-id*="file"]',
+      '[aria-label*="file"]',
+      '.file-preview'
+    ],
+    sendButton: 'button.send-button, button[aria-label="Send message"]'
+  }
+];
+
+/**
+ * Find the adapter for a page
+ * @param {string} url - Page URL
+ * @returns {Object|null}
+ */
+export function getSiteAdapter(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch {
+    return null;
+  }
+
+  return SITE_ADAPTERS.find(site =>
+    site.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+  ) || null;
+}
+
+/**
+ * Look up an adapter by id
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getSiteAdapterById(id) {
+  return SITE_ADAPTERS.find(site => site.id === id) || null;
+}
+
+/**
+ * Check whether the extension may run on a site
+ * Built-in sites are always enabled; the others need their optional host permission
+ * @param {Object} site - Entry from SITE_ADAPTERS
+ * @returns {Promise<boolean>}
+ */
+export async function isSiteEnabled(site) {
+  if (site.builtIn) return true;
+  return chrome.permissions.contains({ origins: site.matches });
+}
+
+/**
+ * Ask for a site's host permission; must run from a user gesture
+ * @param {Object} site - Entry from SITE_ADAPTERS
+ * @returns {Promise<boolean>} Whether it was granted
+ */
+export async function enableSite(site) {
+  if (site.builtIn) return true;
+  return chrome.permissions.request({ origins: site.matches });
+}
+
+/**
+ * Send a message to a tab's content script, injecting the script and retrying
+ * once when the tab has none (tabs opened before the extension was installed or
+ * updated). Other failures are passed through
+ * @param {number} tabId
+ * @param {Object} message
+ * @returns {Promise<*>} The content script's response
+ */
+export async function sendToContentScript(tabId, message) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, message);
+  } catch (error) {
+    if (!error?.message?.includes('Receiving end does not exist')) {
+      throw error;
+    }
+    await chrome.scripting.executeScript({ target: { tabId }, files: ['src/content-script.js'] });
+    return chrome.tabs.sendMessage(tabId, message);
+  }
+}
+
+/**
+ * Give up a site's host permission
+ * @param {Object} site - Entry from SITE_ADAPTERS
+ * @returns {Promise<boolean>} Whether it was removed
+ */
+export async function disableSite(site) {
+  if (site.builtIn) return false;
+  return chrome.permissions.remove({ origins: site.matches });
+}
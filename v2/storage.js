@@ -3,12 +3,17 @@
 
 /**
  * Storage utilities for Chrome extension
- * Handles preferences, history, templates, and presets
+ * Handles preferences, history, templates, presets, and optimization strategies
  */
 
+import { DEFAULT_STRATEGY } from './assemblePayload.js';
+import { DEFAULT_TARGET, TARGET_PROFILES } from './targetProfiles.js';
+import { DEFAULT_RULES, rulesFromLegacy } from './ruleRegistry.js';
+
 const STORAGE_KEYS = {
   API_KEY: 'geminiApiKey',
   OPENAI_KEY: 'openaiApiKey',
+  ANTHROPIC_KEY: 'anthropicApiKey',
   OLLAMA_URL: 'ollamaUrl',
   PREFERENCES: 'preferences',
   HISTORY: 'promptHistory',
@@ -16,48 +21,62 @@ const STORAGE_KEYS = {
   PRESETS: 'presets',
   ACTIVE_PRESET: 'activePreset',
   THEME: 'theme',
-  PROVIDER: 'aiProvider'
+  PROVIDER: 'aiProvider',
+  TIMEOUTS: 'providerTimeouts',
+  MODELS: 'providerModels',
+  CUSTOM_PROVIDERS: 'customProviders',
+  FALLBACK_PROVIDERS: 'fallbackProviders',
+  STRATEGIES: 'strategies',
+  ACTIVE_STRATEGY: 'activeStrategy',
+  TARGET_MODEL: 'targetModel'
 };
 
 const MAX_HISTORY_ITEMS = 50;
 
-// Default templates
+// Response cache defaults: entry lifetime in minutes (0 disables) and entry limit
+const DEFAULT_CACHE_TTL = 60;
+const DEFAULT_CACHE_SIZE = 50;
+
+// Shared by the code templates below
+const LANGUAGE_FIELD = '{{language:select:JavaScript,TypeScript,Python,Java,C#,Go,Rust,Other}}';
+
+// Default templates; {{name:type}} fields are filled in through a form (see templateVariables.js)
 const DEFAULT_TEMPLATES = [
   {
     id: 'debug',
     name: 'Debug Code',
     icon: '🐛',
-    prompt: 'Debug the following code. Identify the bug, explain why it occurs, and provide the corrected code:\n\n[paste code here]'
+    prompt: `Debug the following ${LANGUAGE_FIELD} code. Identify the bug, explain why it occurs, and provide the corrected code.\n\nSymptom: {{symptom:text}}\n\n{{code:textarea}}`
   },
   {
     id: 'explain',
     name: 'Explain Code',
     icon: '📖',
-    prompt: 'Explain this code in detail. Cover what it does, how it works, and any important patterns used:\n\n[paste code here]'
+    prompt: `Explain this ${LANGUAGE_FIELD} code in detail. Cover what it does, how it works, and any important patterns used:\n\n{{code:textarea}}`
   },
   {
     id: 'refactor',
     name: 'Refactor Code',
     icon: '🔧',
-    prompt: 'Refactor this code to improve readability, performance, and maintainability. Explain your changes:\n\n[paste code here]'
+    prompt: `Refactor this ${LANGUAGE_FIELD} code. Goal: {{goal:text=improve readability, performance, and maintainability}}. Explain your changes:\n\n{{code:textarea}}`
   },
   {
     id: 'tests',
     name: 'Write Tests',
     icon: '🧪',
-    prompt: 'Write comprehensive unit tests for this code. Include edge cases and use appropriate testing patterns:\n\n[paste code here]'
+    prompt: `Write comprehensive unit tests for this ${LANGUAGE_FIELD} code using {{framework:text=the standard test framework}}. Include edge cases and use appropriate testing patterns:\n\n{{code:textarea}}`
   },
   {
     id: 'review',
     name: 'Code Review',
     icon: '👀',
-    prompt: 'Review this code for bugs, security issues, performance problems, and style. Provide specific feedback:\n\n[paste code here]'
+    prompt: `Review this ${LANGUAGE_FIELD} code for bugs, security issues, performance problems, and style. Provide specific feedback:\n\n{{code:textarea}}`
   },
   {
     id: 'document',
     name: 'Add Documentation',
     icon: '📝',
-    prompt: 'Add comprehensive documentation to this code including JSDoc/docstrings, inline comments for complex logic, and a usage example:\n\n[paste code here]'
+    prompt: `Add comprehensive documentation to this ${LANGUAGE_FIELD} code including JSDoc/docstrings, inline comments for complex logic, and a usage example:\n\n{{code:textarea}}`
   }
 ];
 
@@ -68,10 +87,7 @@ const DEFAULT_PRESETS = [
     name: 'Quick Coding',
     icon: '⚡',
     preferences: {
-      noReadme: true,
-      fullCode: true,
-      shortSummary: true,
-      preferVanilla: true
+      rules: DEFAULT_RULES
     }
   },
   {
@@ -79,10 +95,11 @@ const DEFAULT_PRESETS = [
     name: 'Learning Mode',
     icon: '📚',
     preferences: {
-      noReadme: false,
-      fullCode: true,
-      shortSummary: false,
-      preferVanilla: false
+      rules: {
+        fullCode: {},
+        verbosity: { level: 'detailed', maxWords: 0 },
+        audience: { level: 'beginner', role: 'developer' }
+      }
     }
   },
   {
@@ -90,10 +107,9 @@ const DEFAULT_PRESETS = [
     name: 'Documentation',
     icon: '📄',
     preferences: {
-      noReadme: false,
-      fullCode: false,
-      shortSummary: false,
-      preferVanilla: false
+      rules: {
+        responseFormat: { format: 'markdown' }
+      }
     }
   }
 ];
@@ -105,17 +121,30 @@ export async function savePreferences(prefs) {
   const data = {
     [STORAGE_KEYS.API_KEY]: prefs.apiKey,
     [STORAGE_KEYS.OPENAI_KEY]: prefs.openaiKey,
+    [STORAGE_KEYS.ANTHROPIC_KEY]: prefs.anthropicKey,
     [STORAGE_KEYS.OLLAMA_URL]: prefs.ollamaUrl,
     [STORAGE_KEYS.PROVIDER]: prefs.provider,
+    [STORAGE_KEYS.TIMEOUTS]: prefs.timeouts,
+    [STORAGE_KEYS.MODELS]: prefs.models,
+    [STORAGE_KEYS.CUSTOM_PROVIDERS]: prefs.customProviders,
+    [STORAGE_KEYS.FALLBACK_PROVIDERS]: prefs.fallbackProviders,
     [STORAGE_KEYS.THEME]: prefs.theme,
+    [STORAGE_KEYS.TARGET_MODEL]: prefs.targetModel,
     [STORAGE_KEYS.PREFERENCES]: {
-      noReadme: prefs.noReadme,
-      fullCode: prefs.fullCode,
-      shortSummary: prefs.shortSummary,
-      preferVanilla: prefs.preferVanilla,
+      rules: prefs.rules,
       alwaysIncludeText: prefs.alwaysIncludeText,
       savedSnippets: prefs.savedSnippets,
-      autoOptimize: prefs.autoOptimize
+      autoOptimize: prefs.autoOptimize,
+      streamOutput: prefs.streamOutput,
+      structuredOutput: prefs.structuredOutput,
+      cacheTtl: prefs.cacheTtl,
+      cacheSize: prefs.cacheSize,
+      tokenBudget: prefs.tokenBudget,
+      redactSecrets: prefs.redactSecrets,
+      reviewRedactions: prefs.reviewRedactions,
+      restoreRedacted: prefs.restoreRedacted,
+      budgetLimit: prefs.budgetLimit,
+      budgetAction: prefs.budgetAction
     }
   };
 
@@ -138,42 +167,87 @@ export async function loadPreferences() {
     chrome.storage.local.get([
       STORAGE_KEYS.API_KEY,
       STORAGE_KEYS.OPENAI_KEY,
+      STORAGE_KEYS.ANTHROPIC_KEY,
       STORAGE_KEYS.OLLAMA_URL,
       STORAGE_KEYS.PREFERENCES,
       STORAGE_KEYS.THEME,
-      STORAGE_KEYS.PROVIDER
+      STORAGE_KEYS.PROVIDER,
+      STORAGE_KEYS.TIMEOUTS,
+      STORAGE_KEYS.MODELS,
+      STORAGE_KEYS.CUSTOM_PROVIDERS,
+      STORAGE_KEYS.FALLBACK_PROVIDERS,
+      STORAGE_KEYS.TARGET_MODEL
     ], (result) => {
       const prefs = result[STORAGE_KEYS.PREFERENCES] || {};
+      const targetModel = result[STORAGE_KEYS.TARGET_MODEL];
 
       resolve({
         apiKey: result[STORAGE_KEYS.API_KEY] || '',
         openaiKey: result[STORAGE_KEYS.OPENAI_KEY] || '',
+        anthropicKey: result[STORAGE_KEYS.ANTHROPIC_KEY] || '',
         ollamaUrl: result[STORAGE_KEYS.OLLAMA_URL] || 'http://localhost:11434',
         provider: result[STORAGE_KEYS.PROVIDER] || 'gemini',
+        timeouts: result[STORAGE_KEYS.TIMEOUTS] || {},
+        models: result[STORAGE_KEYS.MODELS] || {},
+        customProviders: result[STORAGE_KEYS.CUSTOM_PROVIDERS] || [],
+        fallbackProviders: result[STORAGE_KEYS.FALLBACK_PROVIDERS] || [],
         theme: result[STORAGE_KEYS.THEME] || 'auto',
-        noReadme: prefs.noReadme !== false,
-        fullCode: prefs.fullCode !== false,
-        shortSummary: prefs.shortSummary !== false,
-        preferVanilla: prefs.preferVanilla !== false,
+        targetModel: TARGET_PROFILES[targetModel] ? targetModel : DEFAULT_TARGET,
+        // Settings saved before the rule registry only have the four booleans, all on by default
+        rules: prefs.rules || rulesFromLegacy({
+          noReadme: prefs.noReadme !== false,
+          fullCode: prefs.fullCode !== false,
+          shortSummary: prefs.shortSummary !== false,
+          preferVanilla: prefs.preferVanilla !== false
+        }),
         alwaysIncludeText: prefs.alwaysIncludeText || '',
         savedSnippets: prefs.savedSnippets || [],
-        autoOptimize: prefs.autoOptimize || false
+        autoOptimize: prefs.autoOptimize || false,
+        streamOutput: prefs.streamOutput !== false,
+        structuredOutput: prefs.structuredOutput || false,
+        cacheTtl: prefs.cacheTtl ?? DEFAULT_CACHE_TTL,
+        cacheSize: prefs.cacheSize ?? DEFAULT_CACHE_SIZE,
+        tokenBudget: prefs.tokenBudget || 0,
+        redactSecrets: prefs.redactSecrets !== false,
+        reviewRedactions: prefs.reviewRedactions !== false,
+        restoreRedacted: prefs.restoreRedacted || false,
+        budgetLimit: prefs.budgetLimit || 0,
+        budgetAction: prefs.budgetAction || 'warn'
       });
     });
   });
 }
 
+/**
+ * Set the target model the popup and side panel optimize for
+ */
+export async function setTargetModel(targetId) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.TARGET_MODEL]: targetId }, () => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
 /**
  * Save a prompt to history
+ * @param {string} original - Raw prompt
+ * @param {string} optimized - Optimized prompt
+ * @param {Object} [details] - Extra fields to record (e.g. provider, providerName, model, target, rationale)
  */
-export async function saveToHistory(original, optimized) {
+export async function saveToHistory(original, optimized, details = {}) {
   const history = await getHistory();
 
   const entry = {
     id: Date.now().toString(),
     timestamp: new Date().toISOString(),
     original: original,
-    optimized: optimized
+    optimized: optimized,
+    ...details
   };
 
   // Add to beginning, limit size
@@ -219,6 +293,24 @@ export async function clearHistory() {
   });
 }
 
+/**
+ * Update fields of a history item (e.g. after picking another variant)
+ */
+export async function updateHistoryItem(id, changes) {
+  const history = await getHistory();
+  const updated = history.map(item => item.id === id ? { ...item, ...changes } : item);
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.HISTORY]: updated }, () => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
 /**
  * Delete a history item
  */
@@ -296,7 +388,14 @@ export async function deleteTemplate(id) {
 export async function getPresets() {
   return new Promise((resolve) => {
     chrome.storage.local.get([STORAGE_KEYS.PRESETS, STORAGE_KEYS.ACTIVE_PRESET], (result) => {
-      const custom = result[STORAGE_KEYS.PRESETS] || [];
+      // Older custom presets carry the four rule booleans instead of a rule set
+      const custom = (result[STORAGE_KEYS.PRESETS] || []).map(preset => ({
+        ...preset,
+        preferences: {
+          ...preset.preferences,
+          rules: preset.preferences?.rules || rulesFromLegacy(preset.preferences)
+        }
+      }));
       const activeId = result[STORAGE_KEYS.ACTIVE_PRESET] || null;
       const all = [...DEFAULT_PRESETS, ...custom];
 
@@ -324,25 +423,142 @@ export async function setActivePreset(presetId) {
 }
 
 /**
- * Save custom preset
+ * Create or update a custom preset
+ * @param {Object} preset - { id?, name, icon, preferences }; preferences may set
+ *   targetModel to switch the target model when the preset is picked
+ * @returns {Promise<Object>} The saved preset
  */
 export async function savePreset(preset) {
   return new Promise((resolve) => {
     chrome.storage.local.get([STORAGE_KEYS.PRESETS], (result) => {
       const presets = result[STORAGE_KEYS.PRESETS] || [];
 
-      const newPreset = {
-        id: 'custom_' + Date.now(),
+      const saved = {
+        id: preset.id || 'custom_' + Date.now(),
         name: preset.name,
         icon: preset.icon || '⚙️',
         preferences: preset.preferences,
         isCustom: true
       };
 
-      presets.push(newPreset);
+      const index = presets.findIndex(p => p.id === saved.id);
+      if (index >= 0) {
+        presets[index] = saved;
+      } else {
+        presets.push(saved);
+      }
 
       chrome.storage.local.set({ [STORAGE_KEYS.PRESETS]: presets }, () => {
-        resolve(newPreset);
+        resolve(saved);
+      });
+    });
+  });
+}
+
+/**
+ * Delete custom preset
+ */
+export async function deletePreset(id) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.PRESETS, STORAGE_KEYS.ACTIVE_PRESET], (result) => {
+      const presets = (result[STORAGE_KEYS.PRESETS] || []).filter(p => p.id !== id);
+      const data = { [STORAGE_KEYS.PRESETS]: presets };
+
+      if (result[STORAGE_KEYS.ACTIVE_PRESET] === id) {
+        data[STORAGE_KEYS.ACTIVE_PRESET] = null;
+      }
+
+      chrome.storage.local.set(data, resolve);
+    });
+  });
+}
+
+/**
+ * Get optimization strategies (built-in default + custom) and the active one
+ */
+export async function getStrategies() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.STRATEGIES, STORAGE_KEYS.ACTIVE_STRATEGY], (result) => {
+      const custom = result[STORAGE_KEYS.STRATEGIES] || [];
+      const strategies = [DEFAULT_STRATEGY, ...custom];
+      const activeId = result[STORAGE_KEYS.ACTIVE_STRATEGY];
+
+      resolve({
+        strategies,
+        activeStrategy: strategies.some(s => s.id === activeId) ? activeId : DEFAULT_STRATEGY.id
+      });
+    });
+  });
+}
+
+/**
+ * Get the active strategy object
+ */
+export async function getActiveStrategy() {
+  const { strategies, activeStrategy } = await getStrategies();
+  return strategies.find(s => s.id === activeStrategy);
+}
+
+/**
+ * Set active strategy
+ */
+export async function setActiveStrategy(strategyId) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [STORAGE_KEYS.ACTIVE_STRATEGY]: strategyId }, () => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Create or update a custom strategy
+ * @param {Object} strategy - { id?, name, template }; a missing id creates a new strategy
+ * @returns {Promise<Object>} The saved strategy
+ */
+export async function saveStrategy(strategy) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get([STORAGE_KEYS.STRATEGIES], (result) => {
+      const strategies = result[STORAGE_KEYS.STRATEGIES] || [];
+
+      const saved = {
+        id: strategy.id || 'custom_' + Date.now(),
+        name: strategy.name,
+        template: strategy.template
+      };
+
+      const index = strategies.findIndex(s => s.id === saved.id);
+      if (index === -1) {
+        strategies.push(saved);
+      } else {
+        strategies[index] = saved;
+      }
+
+      chrome.storage.local.set({ [STORAGE_KEYS.STRATEGIES]: strategies }, () => {
+        if (chrome.runtime.lastError) {
+          reject(chrome.runtime.lastError);
+        } else {
+          resolve(saved);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Delete custom strategy
+ */
+export async function deleteStrategy(id) {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([STORAGE_KEYS.STRATEGIES], (result) => {
+      const strategies = result[STORAGE_KEYS.STRATEGIES] || [];
+      const filtered = strategies.filter(s => s.id !== id);
+
+      chrome.storage.local.set({ [STORAGE_KEYS.STRATEGIES]: filtered }, () => {
+        resolve();
       });
     });
   });
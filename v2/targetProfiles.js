@@ -0,0 +1,123 @@
+// extension/src/utils/targetProfiles.js
+'use strict';
+
+/**
+ * Target-model profiles
+ * Each profile names the model family the optimized prompt is written for and
+ * carries the best-practice sections (structure, context, constraints) that
+ * assemblePayload puts into the meta-prompt via {{target}} and {{targetPractices}}
+ * tokenBudget caps the payload so the optimized prompt, which repeats the
+ * attached context, still fits the target's context window
+ */
+
+export const DEFAULT_TARGET = 'claude';
+
+export const TARGET_PROFILES = {
+  claude: {
+    name: 'Claude',
+    label: 'Claude',
+    tokenBudget: 150000,
+    practices: `1. STRUCTURE AND CLARITY:
+   - Use clear sections with headers (using markdown)
+   - Put the most important instruction first
+   - Use XML-style tags for complex inputs (e.g., <context>, <requirements>, <examples>)
+   - Be specific about the desired output format
+
+2. CONTEXT SETTING:
+   - Provide relevant background upfront
+   - Define the role/persona if applicable (e.g., "You are a senior software engineer...")
+   - Specify the target audience for the output
+
+3. EXPLICIT CONSTRAINTS:
+   - State what NOT to do (negative constraints are powerful)
+   - Specify length/format requirements
+   - List any technologies, patterns, or approaches to prefer/avoid`
+  },
+  gpt: {
+    name: 'GPT',
+    label: 'GPT (ChatGPT)',
+    tokenBudget: 100000,
+    practices: `1. STRUCTURE AND CLARITY:
+   - Start with the instruction; put supporting material after it
+   - Separate instructions from context with markdown headers or ### / """ delimiters
+   - Use numbered steps for multi-part tasks
+   - Be specific about the desired output format, ideally with a short example
+
+2. CONTEXT SETTING:
+   - Set a role in one opening sentence
+   - Provide relevant background and the intended audience
+   - Include reference text instead of relying on the model's memory for specifics
+
+3. EXPLICIT CONSTRAINTS:
+   - Say what to do instead of only what not to do
+   - Give length limits in concrete units (words, bullets, lines)
+   - Name technologies, versions, and approaches to prefer or avoid`
+  },
+  gemini: {
+    name: 'Gemini',
+    label: 'Gemini',
+    tokenBudget: 500000,
+    practices: `1. STRUCTURE AND CLARITY:
+   - Lead with a direct, concise instruction
+   - Separate parts with markdown headings or prefixes (e.g., "Task:", "Context:", "Format:")
+   - Place long context before the question and refer back to it explicitly
+   - Specify the output format; ask for tables or JSON when the data is structured
+
+2. CONTEXT SETTING:
+   - Give a persona and the audience in the opening lines
+   - Include a few examples when the format matters
+   - Provide every fact the answer depends on
+
+3. EXPLICIT CONSTRAINTS:
+   - List constraints as short bullet points
+   - Specify length, tone, and level of detail
+   - List technologies, patterns, or sources to prefer/avoid`
+  },
+  llama: {
+    name: 'Llama / local',
+    label: 'Llama and other local open-weight models',
+    tokenBudget: 6000,
+    practices: `1. STRUCTURE AND CLARITY:
+   - Keep the prompt short and direct; smaller models lose track of long instructions
+   - One task per prompt; break multi-step work into numbered steps
+   - Use simple markdown headings and avoid deeply nested structure
+   - Show the exact output format with a brief example
+
+2. CONTEXT SETTING:
+   - Give a one-line role and only the context that is needed
+   - Spell out domain terms instead of relying on model knowledge
+   - Repeat the key instruction at the end of long prompts
+
+3. EXPLICIT CONSTRAINTS:
+   - Use plain, unambiguous imperative sentences
+   - State hard limits (length, language, format) explicitly
+   - Prefer a few positive instructions over many prohibitions`
+  },
+  generic: {
+    name: 'Generic',
+    label: 'any modern AI assistant',
+    tokenBudget: 16000,
+    practices: `1. STRUCTURE AND CLARITY:
+   - Put the main instruction first
+   - Separate instructions, context, and examples with markdown headings
+   - Be specific about the desired output format
+
+2. CONTEXT SETTING:
+   - Provide relevant background and the intended audience
+   - Define a role if it helps
+
+3. EXPLICIT CONSTRAINTS:
+   - State what to avoid as well as what to do
+   - Specify length/format requirements
+   - List technologies or approaches to prefer/avoid`
+  }
+};
+
+/**
+ * Look up a profile, falling back to the default target
+ * @param {string} id - Profile id
+ * @returns {Object} Profile with name, label, tokenBudget and practices
+ */
+export function getTargetProfile(id) {
+  return TARGET_PROFILES[id] || TARGET_PROFILES[DEFAULT_TARGET];
+}
@@ -0,0 +1,114 @@
+// extension/src/utils/templateVariables.js
+'use strict';
+
+/**
+ * Template variables
+ * Templates declare typed fields inline as {{name:type}}:
+ *   {{goal:text}}                       single-line input
+ *   {{code:textarea}}                   multi-line input
+ *   {{language:select:js,ts,py}}        dropdown of the listed options
+ * Append =value for a default, e.g. {{language:select:js,ts,py=ts}}. A name
+ * used more than once is asked for once and filled in everywhere
+ */
+
+const VARIABLE_PATTERN = /\{\{(\w+):(text|textarea|select)(?::([^}=]*))?(?:=([^}]*))?\}\}/g;
+
+/**
+ * List the variables a template declares, in order of first use
+ * @param {string} prompt - Template prompt
+ * @returns {Object[]} { name, label, type, options, default }
+ */
+export function parseTemplateVariables(prompt) {
+  const variables = new Map();
+
+  for (const [, name, type, options = '', defaultValue = ''] of (prompt || '').matchAll(VARIABLE_PATTERN)) {
+    if (variables.has(name)) continue;
+
+    const choices = options.split(',').map(o => o.trim()).filter(Boolean);
+    // A select without options has nothing to choose from, so it is asked as text
+    const resolvedType = type === 'select' && !choices.length ? 'text' : type;
+
+    variables.set(name, {
+      name,
+      label: toLabel(name),
+      type: resolvedType,
+      options: choices,
+      default: resolvedType === 'select' && !choices.includes(defaultValue.trim())
+        ? choices[0]
+        : defaultValue
+    });
+  }
+
+  return Array.from(variables.values());
+}
+
+/**
+ * Fill a template's variables
+ * @param {string} prompt - Template prompt
+ * @param {Object} values - Values by variable name; missing ones use the default
+ * @returns {string}
+ */
+export function renderTemplate(prompt, values = {}) {
+  const variables = parseTemplateVariables(prompt);
+
+  return prompt.replace(VARIABLE_PATTERN, (match, name) => {
+    const value = values[name];
+    return value != null ? value : variables.find(v => v.name === name).default;
+  });
+}
+
+/**
+ * Build form fields for a template's variables
+ * Inputs carry data-variable so readVariableFields can collect them
+ * @param {Object[]} variables - From parseTemplateVariables
+ * @param {string} [idPrefix] - Prefix for input ids, to keep them unique per page
+ * @returns {string} HTML
+ */
+export function renderVariableFields(variables, idPrefix = 'templateVar') {
+  return variables.map(v => {
+    const id = `${idPrefix}_${v.name}`;
+    let input;
+
+    if (v.type === 'select') {
+      input = `<select id="${id}" data-variable="${v.name}">
+        ${v.options.map(o => `<option value="${escapeHtml(o)}" ${o === v.default ? 'selected' : ''}>${escapeHtml(o)}</option>`).join('')}
+      </select>`;
+    } else if (v.type === 'textarea') {
+      input = `<textarea id="${id}" data-variable="${v.name}" spellcheck="false">${escapeHtml(v.default)}</textarea>`;
+    } else {
+      input = `<input type="text" id="${id}" data-variable="${v.name}" value="${escapeHtml(v.default)}">`;
+    }
+
+    return `<div class="input-group template-var">
+      <label for="${id}">${escapeHtml(v.label)}</label>
+      ${input}
+    </div>`;
+  }).join('');
+}
+
+/**
+ * Collect values from fields built by renderVariableFields
+ * @param {HTMLElement} container
+ * @returns {Object} Values by variable name
+ */
+export function readVariableFields(container) {
+  const values = {};
+  container.querySelectorAll('[data-variable]').forEach(field => {
+    values[field.dataset.variable] = field.value;
+  });
+  return values;
+}
+
+// codeSnippet / code_snippet -> "Code snippet"
+function toLabel(name) {
+  const words = name.replace(/_/g, ' ').replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -1,6 +1,8 @@
 // extension/src/utils/tokenCounter.js
 'use strict';
 
+import { getTargetProfile } from './targetProfiles.js';
+
 /**
  * Token counter utility
  * Uses approximation since we don't have access to actual tokenizers
@@ -9,6 +11,40 @@
 
 const CHARS_PER_TOKEN = 4;
 
+// Flat rate for models without a known price (USD per 1M tokens)
+const DEFAULT_PRICE_PER_MILLION = 3;
+
+// Default payload budgets per provider: entry-tier per-minute input quotas for
+// the hosted APIs, Ollama's default context window for local models
+const PROVIDER_TOKEN_BUDGETS = {
+  gemini: 250000,
+  openai: 30000,
+  anthropic: 40000,
+  ollama: 3000
+};
+const CUSTOM_PROVIDER_TOKEN_BUDGET = 16000;
+
+// Providers offered as free: Gemini through its free-tier AI Studio keys, Ollama locally
+const FREE_PROVIDERS = ['gemini', 'ollama'];
+
+// Approximate list prices in USD per 1M tokens: [model prefix, input, output]
+// First matching prefix wins, so longer prefixes come first
+const MODEL_PRICING = [
+  ['gpt-4o-mini', 0.15, 0.60],
+  ['gpt-4o', 2.50, 10],
+  ['gpt-4.1-nano', 0.10, 0.40],
+  ['gpt-4.1-mini', 0.40, 1.60],
+  ['gpt-4.1', 2, 8],
+  ['o3-mini', 1.10, 4.40],
+  ['claude-3-haiku', 0.25, 1.25],
+  ['claude-3-5-haiku', 0.80, 4],
+  ['claude-3-5-sonnet', 3, 15],
+  ['claude-3-7-sonnet', 3, 15],
+  ['claude-sonnet-4', 3, 15],
+  ['claude-3-opus', 15, 75],
+  ['claude-opus-4', 15, 75]
+];
+
 /**
  * Estimate token count for text
  * @param {string} text - Text to count tokens for
@@ -77,6 +113,25 @@ export function calculateSavings(original, optimized) {
   };
 }
 
+/**
+ * Token budget for an optimization payload
+ * The smallest of the target model's limit and the limits of every provider in
+ * the fallback chain, since the same payload goes to each of them; a budget
+ * set by the user overrides it
+ * @param {Object} prefs - Preferences with provider, fallbackProviders, targetModel
+ *   and tokenBudget (0 = automatic)
+ * @returns {number} Maximum payload tokens
+ */
+export function getTokenBudget(prefs) {
+  if (prefs.tokenBudget > 0) return prefs.tokenBudget;
+
+  const chain = [prefs.provider || 'gemini', ...(prefs.fallbackProviders || [])];
+  const providerBudget = Math.min(
+    ...chain.map(provider => PROVIDER_TOKEN_BUDGETS[provider] ?? CUSTOM_PROVIDER_TOKEN_BUDGET)
+  );
+  return Math.min(providerBudget, getTargetProfile(prefs.targetModel).tokenBudget);
+}
+
 /**
  * Get cost estimate (rough approximation)
  * Based on Claude's pricing: ~$3 per 1M input tokens
@@ -84,10 +139,54 @@ export function calculateSavings(original, optimized) {
  * @returns {string} Cost estimate
  */
 export function estimateCost(tokens) {
-  const costPerMillion = 3; // $3 per 1M tokens (approximate)
-  const cost = (tokens / 1000000) * costPerMillion;
+  return formatCost((tokens / 1000000) * DEFAULT_PRICE_PER_MILLION);
+}
 
-  if (cost < 0.001) {
+/**
+ * Whether calls to a provider cost nothing: Gemini and Ollama, and custom
+ * endpoints the user hasn't priced (usually local servers)
+ * @param {string} provider - Provider id
+ * @param {Object} [custom] - The custom endpoint definition, when provider is one
+ * @returns {boolean}
+ */
+export function isFreeProvider(provider, custom) {
+  return FREE_PROVIDERS.includes(provider) || Boolean(custom && !custom.price);
+}
+
+/**
+ * Calculate the cost of a call from its input and output tokens
+ * Free providers cost nothing, priced custom endpoints use their own rate,
+ * and unknown models use the flat default rate
+ * @param {string} provider - Provider id
+ * @param {string} model - Model id
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @param {Object} [custom] - The custom endpoint definition, when provider is one
+ * @returns {number} Cost in USD
+ */
+export function calculateCost(provider, model, inputTokens, outputTokens, custom) {
+  if (isFreeProvider(provider, custom)) return 0;
+
+  if (custom) {
+    return (inputTokens * custom.price.input + outputTokens * custom.price.output) / 1000000;
+  }
+
+  const id = (model || '').replace(/^models\//, '');
+  const price = MODEL_PRICING.find(([prefix]) => id.startsWith(prefix));
+  const [, input, output] = price || [null, DEFAULT_PRICE_PER_MILLION, DEFAULT_PRICE_PER_MILLION];
+
+  return (inputTokens * input + outputTokens * output) / 1000000;
+}
+
+/**
+ * Format a dollar amount for display
+ * @param {number} cost - Cost in USD
+ * @returns {string} Formatted cost
+ */
+export function formatCost(cost) {
+  if (cost === 0) {
+    return '$0';
+  } else if (cost < 0.001) {
     return '<$0.001';
   } else if (cost < 0.01) {
     return '$' + cost.toFixed(4);
@@ -0,0 +1,134 @@
+// extension/src/utils/usageLedger.js
+'use strict';
+
+/**
+ * Usage and cost ledger
+ * The background worker records every completed optimization call; the
+ * options page summarizes the ledger per provider by day or month
+ */
+
+const LEDGER_KEY = 'usageLedger';
+
+// Keep a little over a year of entries so monthly totals stay complete
+const MAX_LEDGER_AGE_DAYS = 400;
+const MAX_LEDGER_ENTRIES = 10000;
+
+/**
+ * Record one optimization call
+ * @param {Object} entry
+ * @param {string} entry.provider - Provider id
+ * @param {string} entry.providerName - Display name
+ * @param {string} entry.model - Model id
+ * @param {number} entry.inputTokens - Prompt tokens
+ * @param {number} entry.outputTokens - Completion tokens
+ * @param {boolean} entry.estimated - True when the provider reported no usage
+ * @param {number} entry.cost - Cost in USD
+ */
+export async function recordUsage(entry) {
+  const cutoff = Date.now() - MAX_LEDGER_AGE_DAYS * 24 * 60 * 60 * 1000;
+  const ledger = (await getUsageLedger())
+    .filter(e => new Date(e.timestamp).getTime() >= cutoff);
+
+  ledger.push({ timestamp: new Date().toISOString(), ...entry });
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ [LEDGER_KEY]: ledger.slice(-MAX_LEDGER_ENTRIES) }, () => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Get all recorded calls, oldest first
+ */
+export async function getUsageLedger() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([LEDGER_KEY], (result) => {
+      resolve(result[LEDGER_KEY] || []);
+    });
+  });
+}
+
+/**
+ * Clear the ledger
+ */
+export async function clearUsageLedger() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.remove(LEDGER_KEY, () => {
+      if (chrome.runtime.lastError) {
+        reject(chrome.runtime.lastError);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Local-time period key for a timestamp
+ * @param {string|Date} timestamp
+ * @param {'day'|'month'} period
+ * @returns {string} YYYY-MM-DD or YYYY-MM
+ */
+export function getPeriodKey(timestamp, period) {
+  const date = new Date(timestamp);
+  const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  return period === 'month' ? month : `${month}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Total cost of calls made in the current calendar month
+ * @returns {Promise<number>} Cost in USD
+ */
+export async function getMonthlySpend() {
+  const month = getPeriodKey(new Date(), 'month');
+  const ledger = await getUsageLedger();
+
+  return ledger
+    .filter(e => getPeriodKey(e.timestamp, 'month') === month)
+    .reduce((sum, e) => sum + (e.cost || 0), 0);
+}
+
+/**
+ * Group ledger entries into per-provider totals for each day or month
+ * @param {Object[]} ledger - Entries from getUsageLedger
+ * @param {'day'|'month'} period
+ * @returns {Object[]} Rows of { period, provider, providerName, calls, inputTokens,
+ *   outputTokens, cost, estimated }, newest period first
+ */
+export function summarizeUsage(ledger, period) {
+  const rows = new Map();
+
+  for (const entry of ledger) {
+    const key = getPeriodKey(entry.timestamp, period);
+    const id = `${key}|${entry.provider}`;
+
+    if (!rows.has(id)) {
+      rows.set(id, {
+        period: key,
+        provider: entry.provider,
+        providerName: entry.providerName || entry.provider,
+        calls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cost: 0,
+        estimated: false
+      });
+    }
+
+    const row = rows.get(id);
+    row.calls += 1;
+    row.inputTokens += entry.inputTokens || 0;
+    row.outputTokens += entry.outputTokens || 0;
+    row.cost += entry.cost || 0;
+    row.estimated = row.estimated || Boolean(entry.estimated);
+  }
+
+  return Array.from(rows.values()).sort((a, b) =>
+    b.period.localeCompare(a.period) || a.providerName.localeCompare(b.providerName)
+  );
+}